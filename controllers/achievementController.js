@@ -0,0 +1,303 @@
+const { Achievement, UserAchievement } = require('../models/Achievement');
+const User = require('../models/User');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { checkAchievements } = require('../utils/achievements');
+
+const PROGRESS_FIELDS = 'achievement progress isCompleted completedAt pointsEarned';
+
+// Fields admins may set on an achievement
+const ACHIEVEMENT_FIELDS = [
+  'name',
+  'nameLocalized',
+  'description',
+  'descriptionLocalized',
+  'category',
+  'criteria',
+  'icon',
+  'badge',
+  'points',
+  'difficulty',
+  'rarity',
+  'isActive',
+  'isSecret',
+  'order',
+  'group',
+  'prerequisites',
+  'specialConditions'
+];
+
+const pickAchievementFields = (body) => ACHIEVEMENT_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Check that prerequisites exist and never lead back to the achievement itself.
+// Returns an error message, or null when they are fine.
+const checkPrerequisites = async (prerequisites, achievementId = null) => {
+  const ids = [...new Set(prerequisites.map(String))];
+  const selfId = achievementId && achievementId.toString();
+
+  if (selfId && ids.includes(selfId)) {
+    return 'An achievement cannot be its own prerequisite';
+  }
+
+  if (await Achievement.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+    return 'Prerequisite achievement not found';
+  }
+
+  // New achievements cannot be anyone's prerequisite yet
+  if (!selfId) return null;
+
+  const seen = new Set(ids);
+  let frontier = ids;
+
+  while (frontier.length) {
+    const parents = await Achievement.find({ _id: { $in: frontier } }).select('prerequisites');
+    frontier = [];
+
+    for (const id of parents.flatMap(parent => parent.prerequisites.map(String))) {
+      if (id === selfId) return 'Prerequisites cannot depend on this achievement';
+      if (!seen.has(id)) {
+        seen.add(id);
+        frontier.push(id);
+      }
+    }
+  }
+
+  return null;
+};
+
+// @desc    Get active achievements with the user's progress
+// @route   GET /achievements
+// @access  Private
+const getAchievements = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query, 20);
+  const { category } = req.query;
+
+  // Secret achievements stay hidden until the user unlocks them
+  const unlockedIds = await UserAchievement.find({ user: req.user._id, isCompleted: true }).distinct('achievement');
+
+  const query = {
+    isActive: true,
+    $or: [{ isSecret: { $ne: true } }, { _id: { $in: unlockedIds } }]
+  };
+  if (category) query.category = category;
+
+  const [achievements, total] = await Promise.all([
+    Achievement.find(query)
+      .select('-createdBy')
+      .sort({ order: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit),
+    Achievement.countDocuments(query)
+  ]);
+
+  const progress = await UserAchievement.find({
+    user: req.user._id,
+    achievement: { $in: achievements.map(achievement => achievement._id) }
+  }).select(PROGRESS_FIELDS);
+
+  const progressByAchievement = new Map(progress.map(entry => [entry.achievement.toString(), entry]));
+
+  res.json({
+    success: true,
+    message: 'Achievements retrieved successfully',
+    data: {
+      achievements: achievements.map(achievement => ({
+        ...achievement.toJSON(),
+        userProgress: progressByAchievement.get(achievement._id.toString()) || null
+      })),
+      pagination: formatPagination(page, limit, total, 'Achievements'),
+      filters: { category }
+    }
+  });
+});
+
+// @desc    Check the user's achievements and unlock any that were earned
+// @route   POST /achievements/unlock
+// @access  Private
+const unlockAchievements = catchAsync(async (req, res, next) => {
+  const unlocked = await checkAchievements(req.user._id);
+  const user = await User.findById(req.user._id).select('totalPoints');
+
+  res.json({
+    success: true,
+    message: unlocked.length
+      ? `${unlocked.length} achievement(s) unlocked`
+      : 'No new achievements unlocked',
+    data: {
+      unlocked,
+      totalPoints: user ? user.totalPoints : 0
+    }
+  });
+});
+
+// @desc    Get the user's unlocked and in-progress achievements
+// @route   GET /user/achievements
+// @access  Private
+const getUserAchievements = catchAsync(async (req, res, next) => {
+  const { category, completed } = req.query;
+  const isCompleted = completed === undefined ? undefined : completed === 'true';
+
+  // Achievements that are inactive or outside the category are not populated,
+  // and progress towards secret achievements is not shown
+  const achievements = (await Achievement.getUserAchievements(req.user._id, {
+    category,
+    isCompleted,
+    limit: 100
+  })).filter(entry => entry.achievement && (entry.isCompleted || !entry.achievement.isSecret));
+
+  res.json({
+    success: true,
+    message: 'User achievements retrieved successfully',
+    data: {
+      achievements,
+      summary: {
+        completed: achievements.filter(entry => entry.isCompleted).length,
+        inProgress: achievements.filter(entry => !entry.isCompleted).length,
+        totalPoints: req.user.totalPoints || 0
+      },
+      filters: { category, completed: isCompleted }
+    }
+  });
+});
+
+// @desc    Get all achievement definitions, including inactive and secret ones
+// @route   GET /admin/achievements
+// @access  Private (admin)
+const getAchievementCatalog = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query, 20);
+  const { category } = req.query;
+
+  const query = {};
+  if (category) query.category = category;
+
+  const [achievements, total] = await Promise.all([
+    Achievement.find(query)
+      .populate('prerequisites', 'name')
+      .populate('createdBy', 'name')
+      .sort({ order: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit),
+    Achievement.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Achievement catalog retrieved successfully',
+    data: {
+      achievements,
+      pagination: formatPagination(page, limit, total, 'Achievements'),
+      filters: { category }
+    }
+  });
+});
+
+// @desc    Create an achievement
+// @route   POST /admin/achievements
+// @access  Private (admin)
+const createAchievement = catchAsync(async (req, res, next) => {
+  const fields = pickAchievementFields(req.body);
+
+  if (fields.prerequisites && fields.prerequisites.length) {
+    const problem = await checkPrerequisites(fields.prerequisites);
+    if (problem) return next(new AppError(problem, 400));
+  }
+
+  const achievement = await Achievement.create({
+    ...fields,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Achievement created successfully',
+    data: {
+      achievement
+    }
+  });
+});
+
+// @desc    Update an achievement
+// @route   PUT /admin/achievements/:id
+// @access  Private (admin)
+const updateAchievement = catchAsync(async (req, res, next) => {
+  const achievement = await Achievement.findById(req.params.id);
+
+  if (!achievement) {
+    return next(new AppError('Achievement not found', 404));
+  }
+
+  const fields = pickAchievementFields(req.body);
+
+  if (fields.prerequisites && fields.prerequisites.length) {
+    const problem = await checkPrerequisites(fields.prerequisites, achievement._id);
+    if (problem) return next(new AppError(problem, 400));
+  }
+
+  // Nested groups such as criteria are updated key by key so that omitted keys are kept
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, nested]) => achievement.set(`${field}.${key}`, nested));
+    } else {
+      achievement.set(field, value);
+    }
+  });
+
+  await achievement.save();
+
+  res.json({
+    success: true,
+    message: 'Achievement updated successfully',
+    data: {
+      achievement
+    }
+  });
+});
+
+// @desc    Delete an achievement, or deactivate it once users have unlocked it
+// @route   DELETE /admin/achievements/:id
+// @access  Private (admin)
+const deleteAchievement = catchAsync(async (req, res, next) => {
+  const achievement = await Achievement.findById(req.params.id);
+
+  if (!achievement) {
+    return next(new AppError('Achievement not found', 404));
+  }
+
+  // Unlocked achievements and the points they gave are kept
+  if (await UserAchievement.exists({ achievement: achievement._id, isCompleted: true })) {
+    achievement.isActive = false;
+    await achievement.save();
+
+    return res.json({
+      success: true,
+      message: 'Achievement has already been unlocked, so it was deactivated instead',
+      data: {
+        achievement
+      }
+    });
+  }
+
+  await Promise.all([
+    achievement.deleteOne(),
+    UserAchievement.deleteMany({ achievement: achievement._id }),
+    Achievement.updateMany({ prerequisites: achievement._id }, { $pull: { prerequisites: achievement._id } })
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Achievement deleted successfully'
+  });
+});
+
+module.exports = {
+  getAchievements,
+  unlockAchievements,
+  getUserAchievements,
+  getAchievementCatalog,
+  createAchievement,
+  updateAchievement,
+  deleteAchievement
+};
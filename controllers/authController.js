@@ -20,7 +20,9 @@ const register = catchAsync(async (req, res, next) => {
     bloodGroup,
     location,
     isDonor = true,
-    weight
+    weight,
+    language,
+    referralCode
   } = req.body;
 
   // Check if user already exists
@@ -32,6 +34,15 @@ const register = catchAsync(async (req, res, next) => {
     return next(new AppError('User already exists with this email or phone', 400));
   }
 
+  let referrer;
+  if (referralCode) {
+    referrer = await User.findOne({ referralCode: referralCode.toUpperCase() }).select('_id');
+
+    if (!referrer) {
+      return next(new AppError('Invalid referral code', 400));
+    }
+  }
+
   // Create user
   const user = await User.create({
     name,
@@ -43,7 +54,9 @@ const register = catchAsync(async (req, res, next) => {
     bloodGroup,
     location,
     isDonor,
-    weight
+    weight,
+    language,
+    referredBy: referrer && referrer._id
   });
 
   // Generate tokens
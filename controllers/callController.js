@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const CallSession = require('../models/CallSession');
+const BloodRequest = require('../models/BloodRequest');
+const User = require('../models/User');
+const { catchAsync, AppError, logger } = require('../middleware/errorHandler');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { CALL_EVENT_STATUSES, createCallBridge, getTelephonyProvider } = require('../utils/telephony');
+const { emitToUser } = require('../utils/socket');
+
+// Calls one user may place to the same person within 24 hours
+const DAILY_CALL_LIMIT = parseInt(process.env.CALL_DAILY_LIMIT, 10) || 3;
+
+// How long a relay number or call token stays valid
+const CALL_SESSION_TTL_MS = (parseInt(process.env.CALL_SESSION_TTL_MINUTES, 10) || 15) * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses after which a call session no longer changes
+const FINAL_STATUSES = ['completed', 'missed', 'failed'];
+
+// Statuses a call session may move to each event status from. Events that
+// arrive late, like ringing after the call was answered, are not applied.
+const PREVIOUS_STATUSES = {
+  ringing: ['initiated'],
+  in_progress: ['initiated', 'ringing'],
+  completed: ['initiated', 'ringing', 'in_progress'],
+  missed: ['initiated', 'ringing', 'in_progress'],
+  failed: ['initiated', 'ringing', 'in_progress']
+};
+
+// @desc    Start a masked call about a blood request
+// @route   POST /calls/initiate
+// @access  Private
+const initiateCall = catchAsync(async (req, res, next) => {
+  const { requestId, donorId } = req.body;
+  const provider = getTelephonyProvider();
+
+  if (!provider) {
+    return next(new AppError('Calling is not available right now', 503));
+  }
+
+  const request = await BloodRequest.findById(requestId);
+
+  if (!request) {
+    return next(new AppError('Blood request not found', 404));
+  }
+
+  if (!['active', 'partial'].includes(request.status)) {
+    return next(new AppError('Calls can only be made about open blood requests', 400));
+  }
+
+  // Requesters call a donor who responded; donors call the requester
+  const isRequester = request.requestedBy.toString() === req.user._id.toString();
+
+  if (isRequester && !donorId) {
+    return next(new AppError('Choose the donor you want to call', 400));
+  }
+
+  const calleeId = isRequester ? donorId : request.requestedBy;
+  const responderId = (isRequester ? donorId : req.user._id).toString();
+  const response = request.responses.find(r =>
+    r.donor.toString() === responderId && r.status !== 'rejected'
+  );
+
+  if (!response) {
+    return next(new AppError(isRequester
+      ? 'You can only call donors who have responded to this request'
+      : 'Respond to this blood request before calling the requester', 403));
+  }
+
+  if (await User.isBlockedBetween(req.user._id, calleeId)) {
+    return next(new AppError('You cannot call this user', 403));
+  }
+
+  const callee = await User.findById(calleeId).select('name phone status');
+
+  if (!callee || callee.status !== 'active') {
+    return next(new AppError('User not found', 404));
+  }
+
+  const dayStart = new Date(Date.now() - DAY_MS);
+  const limitMessage = `You can call this user at most ${DAILY_CALL_LIMIT} times a day`;
+
+  if (await CallSession.countCallsSince(req.user._id, callee._id, dayStart) >= DAILY_CALL_LIMIT) {
+    return next(new AppError(limitMessage, 429));
+  }
+
+  // The session is saved before the bridge is opened and counted again, so
+  // concurrent attempts cannot go over the limit; the ones that do are removed
+  const call = await CallSession.create({
+    caller: req.user._id,
+    callee: callee._id,
+    bloodRequest: request._id,
+    direction: isRequester ? 'requester_to_donor' : 'donor_to_requester',
+    provider: provider.name,
+    expiresAt: new Date(Date.now() + CALL_SESSION_TTL_MS)
+  });
+
+  const callsToday = await CallSession.countCallsSince(req.user._id, callee._id, dayStart, call._id);
+
+  if (callsToday > DAILY_CALL_LIMIT) {
+    await call.deleteOne();
+    return next(new AppError(limitMessage, 429));
+  }
+
+  let bridge;
+  try {
+    bridge = await createCallBridge({
+      callId: call._id.toString(),
+      callerPhone: req.user.phone,
+      calleePhone: callee.phone,
+      expiresAt: call.expiresAt
+    });
+  } catch (error) {
+    await call.deleteOne();
+    return next(new AppError('Could not connect the call. Please try again later.', 502));
+  }
+
+  call.providerSessionId = bridge.providerSessionId;
+  if (bridge.token) {
+    call.bridgeType = 'token';
+    call.tokenHash = crypto.createHash('sha256').update(bridge.token).digest('hex');
+  } else {
+    call.bridgeType = 'relay_number';
+    call.relayNumber = bridge.relayNumber;
+  }
+  await call.save();
+
+  // Call attempts count toward the donor's response on this request
+  await BloodRequest.updateOne(
+    { _id: request._id, 'responses._id': response._id },
+    {
+      $inc: { callCount: 1, 'responses.$.callAttempts': 1 },
+      $set: { 'responses.$.lastCallAt': call.createdAt }
+    }
+  );
+
+  emitToUser(callee._id, 'call:incoming', {
+    callId: call._id,
+    requestId: request._id,
+    caller: { _id: req.user._id, name: req.user.name },
+    bridgeType: call.bridgeType,
+    relayNumber: call.relayNumber
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Call session created successfully',
+    data: {
+      callId: call._id,
+      bridgeType: call.bridgeType,
+      // Returned once; only a hash of the token is stored
+      relayNumber: call.relayNumber,
+      token: bridge.token,
+      expiresAt: call.expiresAt,
+      callee: { _id: callee._id, name: callee.name },
+      requestId: request._id,
+      callsRemainingToday: DAILY_CALL_LIMIT - callsToday
+    }
+  });
+});
+
+// @desc    Get the current user's call history
+// @route   GET /calls/history
+// @access  Private
+const getCallHistory = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  const query = { $or: [{ caller: req.user._id }, { callee: req.user._id }] };
+  if (req.query.requestId) query.bloodRequest = req.query.requestId;
+
+  const [calls, total] = await Promise.all([
+    CallSession.find(query)
+      .populate('caller', 'name avatar')
+      .populate('callee', 'name avatar')
+      .populate('bloodRequest', 'bloodGroup hospitalName status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    CallSession.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Call history retrieved successfully',
+    data: {
+      calls,
+      pagination: formatPagination(page, limit, total, 'Calls')
+    }
+  });
+});
+
+// @desc    Record a call status event from the telephony provider
+// @route   POST /calls/events
+// @access  Public (provider webhook)
+const handleCallEvent = catchAsync(async (req, res, next) => {
+  const provider = getTelephonyProvider();
+
+  if (!provider) {
+    return next(new AppError('Calling is not available right now', 503));
+  }
+
+  const event = provider.parseEvent(req);
+
+  if (!event) {
+    return next(new AppError('Invalid telephony event', 401));
+  }
+
+  if (!event.providerSessionId || !CALL_EVENT_STATUSES.includes(event.status)) {
+    return next(new AppError('Unknown call session or status', 400));
+  }
+
+  const now = new Date();
+  const update = { status: event.status };
+  if (event.status === 'in_progress') update.answeredAt = now;
+  if (FINAL_STATUSES.includes(event.status)) {
+    update.endedAt = now;
+    if (Number.isFinite(Number(event.duration))) update.duration = Math.max(0, Number(event.duration));
+  }
+
+  const call = await CallSession.findOneAndUpdate(
+    { providerSessionId: event.providerSessionId, status: { $in: PREVIOUS_STATUSES[event.status] } },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!call) {
+    const exists = await CallSession.exists({ providerSessionId: event.providerSessionId });
+
+    return next(exists
+      ? new AppError(`Call session cannot move to ${event.status} from its current status`, 409)
+      : new AppError('Call session not found', 404));
+  }
+
+  logger.info('Call event recorded', { callId: call._id, status: call.status });
+
+  res.json({
+    success: true,
+    message: 'Call event recorded',
+    data: {
+      callId: call._id,
+      status: call.status
+    }
+  });
+});
+
+module.exports = {
+  initiateCall,
+  getCallHistory,
+  handleCallEvent
+};
@@ -0,0 +1,44 @@
+const Donation = require('../models/Donation');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { isValidCertificateSignature } = require('../utils/certificates');
+
+// @desc    Check that a donation certificate is authentic
+// @route   GET /certificates/:certificateId/verify
+// @access  Public
+const verifyCertificate = catchAsync(async (req, res, next) => {
+  const donation = await Donation.findOne({
+    'donationCertificate.certificateId': req.params.certificateId
+  }).populate('donor', 'name');
+
+  // Certificates of donations that are no longer verified are withdrawn
+  if (!donation || !donation.isVerified || donation.status !== 'completed' || !donation.donor) {
+    return next(new AppError('Certificate not found', 404));
+  }
+
+  if (!isValidCertificateSignature(donation, req.query.signature)) {
+    return next(new AppError('Certificate signature is invalid', 400));
+  }
+
+  res.json({
+    success: true,
+    message: 'Certificate is authentic',
+    data: {
+      valid: true,
+      certificate: {
+        certificateId: donation.donationCertificate.certificateId,
+        issuedDate: donation.donationCertificate.issuedDate,
+        donationId: donation.donationId,
+        donorName: donation.donor.name,
+        bloodGroup: donation.bloodGroup,
+        donationType: donation.donationType,
+        unitsdonated: donation.unitsdonated,
+        donationDate: donation.donationDate,
+        hospital: donation.hospital.name
+      }
+    }
+  });
+});
+
+module.exports = {
+  verifyCertificate
+};
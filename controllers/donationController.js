@@ -0,0 +1,476 @@
+const Donation = require('../models/Donation');
+const BloodRequest = require('../models/BloodRequest');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { catchAsync, AppError, logger } = require('../middleware/errorHandler');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { buildDateRange } = require('../utils/dates');
+const { recordDonation: saveDonation } = require('../utils/donations');
+const {
+  DONATION_TYPES,
+  getProfileIssues,
+  getNextEligibleDates,
+  getIntervalWindow
+} = require('../utils/eligibility');
+const { buildDonationExport, storeExport, resolveSignedExport } = require('../utils/donationExport');
+const { updateUserRating } = require('../utils/ratings');
+const { triggerAchievements } = require('../utils/achievements');
+const {
+  ESCALATED_SEVERITIES,
+  isMoreSevere,
+  cancelFollowUpReminders,
+  escalateReaction
+} = require('../utils/followUps');
+const { buildNotificationContent } = require('../utils/notificationTemplates');
+const { deliverNotification } = require('../utils/notificationDelivery');
+const { emitToUser } = require('../utils/socket');
+
+// Fields a donor may record about their own donation
+const RECORDED_FIELDS = [
+  'unitsdonated',
+  'donationType',
+  'hospital',
+  'predonationVitals',
+  'postDonationVitals',
+  'medicalStaff',
+  'bloodBagId',
+  'specialNotes'
+];
+
+// Timeframes reported by the donation summary
+const SUMMARY_TIMEFRAMES = ['all', 'thisYear', 'thisMonth', 'last30Days'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after a donation during which both sides can leave feedback
+const FEEDBACK_WINDOW_DAYS = parseInt(process.env.DONATION_FEEDBACK_WINDOW_DAYS, 10) || 30;
+
+// Days after a donation during which the donor can report how they feel
+const FOLLOW_UP_WINDOW_DAYS = parseInt(process.env.DONATION_FOLLOW_UP_WINDOW_DAYS, 10) || 30;
+
+// Feedback fields each side of a donation may fill in
+const FEEDBACK_FIELDS = {
+  donorFeedback: ['rating', 'comment', 'hospitalService', 'staffBehavior', 'overallExperience'],
+  recipientFeedback: ['rating', 'comment', 'thankYouMessage']
+};
+
+// Totals for an empty timeframe
+const EMPTY_STATS = {
+  totalDonations: 0,
+  totalUnits: 0,
+  totalPoints: 0,
+  avgRating: null,
+  emergencyDonations: 0
+};
+
+// @desc    Record a completed donation
+// @route   POST /donations/record
+// @access  Private (donor)
+const recordDonation = catchAsync(async (req, res, next) => {
+  const { bloodRequest: requestId, bloodGroup } = req.body;
+
+  if (bloodGroup !== req.user.bloodGroup) {
+    return next(new AppError('Blood group does not match your profile', 400));
+  }
+
+  const donationData = { donationDate: req.body.donationDate || new Date() };
+  RECORDED_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      donationData[field] = req.body[field];
+    }
+  });
+
+  let request;
+  let response;
+
+  if (requestId) {
+    request = await BloodRequest.findById(requestId);
+
+    if (!request) {
+      return next(new AppError('Blood request not found', 404));
+    }
+
+    response = request.responses.find(r =>
+      r.donor.toString() === req.user._id.toString() && r.status === 'accepted'
+    );
+
+    if (!response) {
+      return next(new AppError('The requester must accept your response before you can record a donation for this request', 400));
+    }
+
+    donationData.hospital = donationData.hospital || {
+      name: request.hospitalName,
+      address: request.location.address,
+      district: request.location.district
+    };
+    donationData.isEmergencyDonation = request.isEmergency || request.urgencyLevel === 'critical';
+  }
+
+  // Compatibility and eligibility are checked when the donation is saved
+  const { donation, request: fulfilledRequest } = await saveDonation({
+    donor: req.user,
+    donationData,
+    requestId: request && request._id,
+    responseId: response && response._id
+  });
+
+  if (fulfilledRequest) {
+    emitToUser(fulfilledRequest.requestedBy, 'request:response', {
+      requestId: fulfilledRequest._id,
+      response: fulfilledRequest.responses.id(response._id),
+      donationId: donation.donationId
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Donation recorded successfully',
+    data: {
+      donation,
+      request: fulfilledRequest ? {
+        _id: fulfilledRequest._id,
+        status: fulfilledRequest.status,
+        unitsFulfilled: fulfilledRequest.unitsFulfilled,
+        unitsNeeded: fulfilledRequest.unitsNeeded
+      } : undefined
+    }
+  });
+});
+
+// @desc    Get the current user's donation history
+// @route   GET /donations/history
+// @access  Private
+const getDonationHistory = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const { donationType, status, from, to } = req.query;
+
+  const query = { donor: req.user._id };
+  if (donationType) query.donationType = donationType;
+  if (status) query.status = status;
+  if (from || to) query.donationDate = buildDateRange(from, to);
+
+  const [donations, total] = await Promise.all([
+    Donation.find(query)
+      .populate('bloodRequest', 'bloodGroup hospitalName status')
+      .populate('recipient', 'name avatar')
+      .sort({ donationDate: -1 })
+      .skip(skip)
+      .limit(limit),
+    Donation.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Donation history retrieved successfully',
+    data: {
+      donations,
+      pagination: formatPagination(page, limit, total, 'Donations'),
+      filters: { donationType, status, from, to }
+    }
+  });
+});
+
+// @desc    Get donation totals by timeframe and donation type
+// @route   GET /donations/summary
+// @access  Private
+const getDonationSummary = catchAsync(async (req, res, next) => {
+  const timeframe = req.query.timeframe || 'all';
+
+  const [timeframeStats, typeStats, lastDonation] = await Promise.all([
+    Promise.all(SUMMARY_TIMEFRAMES.map(period => Donation.getDonationStats(req.user._id, period))),
+    Donation.getDonationTypeStats(req.user._id, timeframe),
+    Donation.findOne({ donor: req.user._id, status: 'completed' })
+      .sort({ donationDate: -1 })
+      .select('donationId donationType donationDate hospital.name nextEligibleDate')
+  ]);
+
+  const timeframes = {};
+  SUMMARY_TIMEFRAMES.forEach((period, index) => {
+    const [stats] = timeframeStats[index];
+    const { _id, ...totals } = stats || EMPTY_STATS;
+    timeframes[period] = totals;
+  });
+
+  const byType = {};
+  DONATION_TYPES.forEach(type => {
+    const { _id, ...totals } = typeStats.find(stats => stats._id === type) || {
+      totalDonations: 0,
+      totalUnits: 0,
+      totalPoints: 0,
+      lastDonationDate: null
+    };
+    byType[type] = totals;
+  });
+
+  res.json({
+    success: true,
+    message: 'Donation summary retrieved successfully',
+    data: {
+      timeframes,
+      byType,
+      byTypeTimeframe: timeframe,
+      lastDonation,
+      lifeSaved: req.user.lifeSaved,
+      requestsFulfilled: req.user.requestsFulfilled
+    }
+  });
+});
+
+// @desc    Get the next eligible donation date for each donation type
+// @route   GET /donations/next-eligible
+// @access  Private
+const getNextEligible = catchAsync(async (req, res, next) => {
+  const now = new Date();
+
+  const recentDonations = await Donation.find({
+    donor: req.user._id,
+    status: 'completed',
+    donationDate: getIntervalWindow(now)
+  }).select('donationType donationDate');
+
+  const dates = getNextEligibleDates(recentDonations, now);
+  const profileIssues = getProfileIssues(req.user);
+
+  const donationTypes = {};
+  DONATION_TYPES.forEach(type => {
+    const date = dates[type];
+    donationTypes[type] = {
+      eligible: !date && profileIssues.length === 0,
+      nextEligibleDate: date || now,
+      daysUntilEligible: date ? Math.ceil((date.getTime() - now.getTime()) / DAY_MS) : 0
+    };
+  });
+
+  res.json({
+    success: true,
+    message: 'Next eligible donation dates retrieved successfully',
+    data: {
+      donationTypes,
+      // Issues that block every donation type until resolved
+      profileIssues,
+      lastDonationDate: req.user.lastDonationDate
+    }
+  });
+});
+
+// @desc    Export completed donations as CSV, JSON or PDF
+// @route   POST /donations/export
+// @access  Private
+const exportDonations = catchAsync(async (req, res, next) => {
+  const { format = 'pdf', delivery = 'download', from, to } = req.body;
+
+  const query = { donor: req.user._id, status: 'completed' };
+  if (from || to) query.donationDate = buildDateRange(from, to);
+
+  const donations = await Donation.find(query)
+    .select('donationId donationDate donationType unitsdonated bloodGroup hospital isVerified')
+    .sort({ donationDate: 1 });
+
+  const file = await buildDonationExport(format, { donor: req.user, donations, from, to });
+
+  if (delivery === 'link') {
+    const link = await storeExport(format, file.content);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Donation export created successfully',
+      data: {
+        url: `${req.protocol}://${req.get('host')}${link.path}`,
+        expiresAt: link.expiresAt,
+        format,
+        totalDonations: donations.length
+      }
+    });
+  }
+
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Disposition': `attachment; filename="${file.fileName}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.send(file.content);
+});
+
+// @desc    Download a stored donation export
+// @route   GET /donations/exports/:fileName
+// @access  Public (signed link)
+const downloadExport = catchAsync(async (req, res, next) => {
+  const { expires, signature } = req.query;
+  const file = resolveSignedExport(req.params.fileName, expires, signature);
+
+  if (!file) {
+    return next(new AppError('Download link is invalid or has expired', 403));
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.download(file.filePath, req.params.fileName, { headers: { 'Content-Type': file.contentType } }, error => {
+    if (error && !res.headersSent) {
+      next(new AppError('Export not found', 404));
+    }
+  });
+});
+
+// Send the donor the recipient's thank-you message
+const sendThankYou = async (donation, sender, message) => {
+  const donor = await User.findById(donation.donor);
+  if (!donor) return;
+
+  const notification = await Notification.create({
+    ...buildNotificationContent('thank_you_message', donor, { senderName: sender.name, message }),
+    recipient: donor._id,
+    type: 'thank_you_message',
+    sender: sender._id,
+    senderType: 'user',
+    relatedId: donation._id,
+    relatedModel: 'Donation'
+  });
+
+  await deliverNotification(notification, donor);
+};
+
+// @desc    Leave feedback on a donation as its donor or recipient
+// @route   PUT /donations/:id/feedback
+// @access  Private
+const submitFeedback = catchAsync(async (req, res, next) => {
+  const donation = await Donation.findById(req.params.id);
+
+  if (!donation || donation.status !== 'completed') {
+    return next(new AppError('Donation not found', 404));
+  }
+
+  const userId = req.user._id.toString();
+  const isDonor = donation.donor.toString() === userId;
+  const isRecipient = Boolean(donation.recipient) && donation.recipient.toString() === userId;
+
+  if (!isDonor && !isRecipient) {
+    return next(new AppError('Only the donor and recipient can leave feedback on this donation', 403));
+  }
+
+  if (Date.now() - donation.donationDate.getTime() > FEEDBACK_WINDOW_DAYS * DAY_MS) {
+    return next(new AppError(`Feedback can only be left within ${FEEDBACK_WINDOW_DAYS} days of the donation`, 400));
+  }
+
+  const side = isDonor ? 'donorFeedback' : 'recipientFeedback';
+  const feedback = { submittedAt: new Date() };
+  FEEDBACK_FIELDS[side].forEach(field => {
+    if (req.body[field] !== undefined) {
+      feedback[field] = req.body[field];
+    }
+  });
+
+  donation[side] = feedback;
+  const update = { [side]: feedback, pointsEarned: donation.calculatePoints() };
+
+  // Feedback can only be given once per side
+  const result = await Donation.updateOne(
+    { _id: donation._id, [`${side}.submittedAt`]: { $exists: false } },
+    { $set: update }
+  );
+
+  if (!result.modifiedCount) {
+    return next(new AppError('You have already left feedback for this donation', 400));
+  }
+
+  // Donors rate the recipient, recipients rate the donor
+  const ratedUserId = isDonor ? donation.recipient : donation.donor;
+  const ratedUser = ratedUserId ? await updateUserRating(ratedUserId) : null;
+  if (ratedUser) triggerAchievements(ratedUserId, 'rating');
+
+  if (feedback.thankYouMessage) {
+    sendThankYou(donation, req.user, feedback.thankYouMessage).catch(error => {
+      logger.error('Thank you notification failed', { donationId: donation._id, error: error.message });
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Feedback submitted successfully',
+    data: {
+      feedback,
+      pointsEarned: donation.pointsEarned,
+      ratedUser: ratedUser && { _id: ratedUserId, ...ratedUser }
+    }
+  });
+});
+
+// @desc    Report how the donor feels after a donation
+// @route   POST /donations/:id/follow-up
+// @access  Private (donor)
+const reportFollowUp = catchAsync(async (req, res, next) => {
+  const { feeling, symptoms = [], severity, notes } = req.body;
+
+  const donation = await Donation.findById(req.params.id);
+
+  if (!donation || donation.status !== 'completed' || donation.donor.toString() !== req.user._id.toString()) {
+    return next(new AppError('Donation not found', 404));
+  }
+
+  if (Date.now() - donation.donationDate.getTime() > FOLLOW_UP_WINDOW_DAYS * DAY_MS) {
+    return next(new AppError(`Follow-ups can only be reported within ${FOLLOW_UP_WINDOW_DAYS} days of the donation`, 400));
+  }
+
+  const report = { feeling, symptoms, notes, reportedAt: new Date() };
+  const hasReaction = symptoms.length > 0 || Boolean(severity);
+  let escalated = false;
+
+  if (hasReaction) {
+    report.severity = severity || 'mild';
+
+    const reaction = donation.adverseReactions;
+    const worse = !reaction.occurred || isMoreSevere(report.severity, reaction.severity);
+
+    // Keep the worst reaction reported so far
+    if (worse) {
+      reaction.occurred = true;
+      reaction.severity = report.severity;
+      reaction.reportedBy = 'donor';
+      reaction.description = [symptoms.join(', ').replace(/_/g, ' '), notes].filter(Boolean).join(' - ');
+    }
+
+    // Staff hear about each rise to a moderate or severe reaction once
+    if (ESCALATED_SEVERITIES.includes(report.severity) && (worse || !reaction.escalatedAt)) {
+      reaction.escalatedAt = report.reportedAt;
+      escalated = true;
+    }
+
+    donation.followUpRequired = true;
+  }
+
+  donation.followUpReports.push(report);
+  await donation.save();
+
+  if (escalated) {
+    escalateReaction(donation, req.user, report).catch(error => {
+      logger.error('Adverse reaction escalation failed', { donationId: donation._id, error: error.message });
+    });
+  } else if (!donation.followUpRequired && ['great', 'good'].includes(feeling)) {
+    // Donors who feel fine are not asked again
+    cancelFollowUpReminders(donation).catch(error => {
+      logger.error('Failed to cancel follow-up reminders', { donationId: donation._id, error: error.message });
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: escalated
+      ? 'Thank you. The hospital has been told and will contact you.'
+      : 'Thank you for letting us know how you feel',
+    data: {
+      report: donation.followUpReports[donation.followUpReports.length - 1],
+      adverseReactions: donation.adverseReactions,
+      followUpRequired: donation.followUpRequired,
+      escalated
+    }
+  });
+});
+
+module.exports = {
+  recordDonation,
+  getDonationHistory,
+  getDonationSummary,
+  getNextEligible,
+  exportDonations,
+  downloadExport,
+  submitFeedback,
+  reportFollowUp
+};
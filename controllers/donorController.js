@@ -0,0 +1,170 @@
+const User = require('../models/User');
+const BloodRequest = require('../models/BloodRequest');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { getSearchArea, geoNearStage } = require('../utils/geo');
+const { getCompatibleDonors: getCompatibleDonorGroups } = require('../utils/compatibility');
+const { findEligibleDonors } = require('../utils/donorMatching');
+const { getContactableDonorIds, getDonorContact } = require('../utils/privacy');
+
+// Public donor fields returned by search endpoints
+const donorProjection = {
+  name: 1,
+  avatar: 1,
+  bloodGroup: 1,
+  'location.district': 1,
+  'location.upazila': 1,
+  isAvailable: 1,
+  totalDonations: 1,
+  rating: 1,
+  distance: { $round: ['$distance', 2] },
+  // Contact fields are filtered by getDonorContact before they are returned
+  phone: 1,
+  email: 1,
+  lastDonationDate: 1,
+  privacySettings: 1
+};
+
+// Public view of a donor search result
+const formatDonor = (donor, contactable) => {
+  const { privacySettings, email, ...profile } = donor;
+
+  return {
+    ...profile,
+    ...getDonorContact(donor, contactable.has(donor._id.toString()))
+  };
+};
+
+// @desc    Get nearby donors sorted by distance
+// @route   GET /donors/nearby
+// @access  Private
+const getNearbyDonors = catchAsync(async (req, res, next) => {
+  const { point, radius } = getSearchArea(req);
+
+  if (!point) {
+    return next(new AppError('Location is required. Provide latitude and longitude or save your location.', 400));
+  }
+
+  const { page, limit, skip } = getPagination(req.query);
+
+  // Blocked users are hidden in both directions
+  const blockedIds = await User.getBlockedUserIds(req.user._id);
+
+  const query = {
+    isDonor: true,
+    isAvailable: true,
+    status: 'active',
+    _id: { $nin: [req.user._id, ...blockedIds] }
+  };
+  if (req.query.bloodGroup) query.bloodGroup = req.query.bloodGroup;
+
+  const [result] = await User.aggregate([
+    geoNearStage(point, radius, query),
+    {
+      $facet: {
+        donors: [{ $skip: skip }, { $limit: limit }, { $project: donorProjection }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+  const contactable = await getContactableDonorIds(req.user._id, result.donors.map(donor => donor._id));
+
+  res.json({
+    success: true,
+    message: 'Nearby donors retrieved successfully',
+    data: {
+      donors: result.donors.map(donor => formatDonor(donor, contactable)),
+      pagination: formatPagination(page, limit, total, 'Donors'),
+      searchCriteria: {
+        latitude: point.coordinates[1],
+        longitude: point.coordinates[0],
+        radius,
+        bloodGroup: req.query.bloodGroup
+      }
+    }
+  });
+});
+
+// Public view of a ranked donor match
+const formatMatch = ({ donor, distance, score }, contactable) => ({
+  _id: donor._id,
+  name: donor.name,
+  avatar: donor.avatar,
+  bloodGroup: donor.bloodGroup,
+  location: {
+    district: donor.location.district,
+    upazila: donor.location.upazila
+  },
+  totalDonations: donor.totalDonations,
+  rating: donor.rating,
+  ...getDonorContact(donor, contactable.has(donor._id.toString())),
+  distance,
+  matchScore: score
+});
+
+// @desc    Get eligible donors compatible with a request or blood group
+// @route   GET /donors/compatible
+// @access  Private
+const getCompatibleDonors = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+  let request;
+
+  if (req.query.requestId) {
+    request = await BloodRequest.findById(req.query.requestId);
+
+    if (!request) {
+      return next(new AppError('Blood request not found', 404));
+    }
+
+    if (request.requestedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return next(new AppError('You can only search donors for your own blood requests', 403));
+    }
+  } else {
+    // Ad-hoc search around the given coordinates or the user's own location
+    const { point } = getSearchArea(req);
+    request = {
+      bloodGroup: req.query.bloodGroup,
+      donationType: req.query.donationType,
+      location: {
+        district: req.query.district || req.user.location.district,
+        coordinates: point || undefined
+      }
+    };
+  }
+
+  const { radius } = getSearchArea(req);
+  const blockedIds = await User.getBlockedUserIds(req.user._id);
+  const matches = await findEligibleDonors(request, {
+    radius,
+    excludeUserIds: [req.user._id, ...blockedIds]
+  });
+
+  const pageMatches = matches.slice(skip, skip + limit);
+  const contactable = await getContactableDonorIds(req.user._id, pageMatches.map(({ donor }) => donor._id));
+
+  const donationType = req.query.donationType || request.donationType || 'whole_blood';
+
+  res.json({
+    success: true,
+    message: 'Compatible donors retrieved successfully',
+    data: {
+      donors: pageMatches.map(match => formatMatch(match, contactable)),
+      pagination: formatPagination(page, limit, matches.length, 'Donors'),
+      searchCriteria: {
+        requestId: request._id,
+        bloodGroup: request.bloodGroup,
+        donationType,
+        compatibleGroups: getCompatibleDonorGroups(request.bloodGroup, donationType),
+        district: request.location.district,
+        radius
+      }
+    }
+  });
+});
+
+module.exports = {
+  getNearbyDonors,
+  getCompatibleDonors
+};
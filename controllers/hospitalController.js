@@ -0,0 +1,314 @@
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { catchAsync, AppError, logger } = require('../middleware/errorHandler');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { buildDateRange } = require('../utils/dates');
+const { buildNotificationContent } = require('../utils/notificationTemplates');
+const { deliverNotification } = require('../utils/notificationDelivery');
+const { SEVERITY_ORDER, scheduleFollowUpReminders } = require('../utils/followUps');
+const { isSameHospital, hospitalNamePattern } = require('../utils/hospitals');
+const { issueDonationCertificate } = require('../utils/certificates');
+
+// Whether a staff member may verify donations made at a hospital; admins may verify any
+const worksAt = (user, hospitalName) =>
+  user.role === 'admin' || Boolean(user.hospital && isSameHospital(user.hospital.name, hospitalName));
+
+// Donation and reaction counts for an aggregation group
+const reactionTotals = (id) => {
+  const totals = {
+    _id: id,
+    totalDonations: { $sum: 1 },
+    reactions: { $sum: { $cond: ['$adverseReactions.occurred', 1, 0] } },
+    escalated: { $sum: { $cond: [{ $gt: ['$adverseReactions.escalatedAt', null] }, 1, 0] } }
+  };
+
+  SEVERITY_ORDER.forEach(severity => {
+    totals[severity] = {
+      $sum: {
+        $cond: [{ $and: ['$adverseReactions.occurred', { $eq: ['$adverseReactions.severity', severity] }] }, 1, 0]
+      }
+    };
+  });
+
+  return totals;
+};
+
+// Reactions per 100 donations
+const withReactionRate = ({ _id, ...totals }) => ({
+  ...totals,
+  reactionRate: totals.totalDonations
+    ? Math.round((totals.reactions / totals.totalDonations) * 10000) / 100
+    : 0
+});
+
+// Tell the donor their donation was verified
+const notifyDonor = async (donation, staffId) => {
+  const donor = await User.findById(donation.donor);
+  if (!donor) return;
+
+  const notification = await Notification.create({
+    ...buildNotificationContent('donation_verified', donor, {
+      hospitalName: donation.hospital.name,
+      donationDate: donation.donationDate
+    }),
+    recipient: donor._id,
+    type: 'donation_confirmation',
+    category: 'important',
+    sender: staffId,
+    senderType: 'user',
+    relatedId: donation._id,
+    relatedModel: 'Donation'
+  });
+
+  await deliverNotification(notification, donor);
+};
+
+// @desc    Make a user hospital staff for a hospital
+// @route   PUT /admin/users/:userId/hospital-staff
+// @access  Private (admin)
+const assignHospitalStaff = catchAsync(async (req, res, next) => {
+  const { hospitalName, district } = req.body;
+
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (['admin', 'moderator'].includes(user.role)) {
+    return next(new AppError('Admins and moderators cannot be made hospital staff', 400));
+  }
+
+  user.role = 'hospital_staff';
+  user.hospital = { name: hospitalName.trim(), district };
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'User assigned as hospital staff successfully',
+    data: {
+      userId: user._id,
+      role: user.role,
+      hospital: user.hospital
+    }
+  });
+});
+
+// @desc    Remove a user's hospital staff role
+// @route   DELETE /admin/users/:userId/hospital-staff
+// @access  Private (admin)
+const removeHospitalStaff = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (user.role !== 'hospital_staff') {
+    return next(new AppError('User is not hospital staff', 400));
+  }
+
+  user.role = 'user';
+  user.hospital = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Hospital staff role removed successfully',
+    data: {
+      userId: user._id,
+      role: user.role
+    }
+  });
+});
+
+// @desc    Get donations made at the staff member's hospital
+// @route   GET /hospital/donations
+// @access  Private (hospital staff, admin)
+const getHospitalDonations = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const verified = req.query.verified === true;
+
+  const query = { status: 'completed', isVerified: verified };
+
+  if (req.user.role !== 'admin') {
+    if (!req.user.hospital || !req.user.hospital.name) {
+      return next(new AppError('Your account is not linked to a hospital', 403));
+    }
+
+    query['hospital.name'] = hospitalNamePattern(req.user.hospital.name);
+  }
+
+  const [donations, total] = await Promise.all([
+    Donation.find(query)
+      .populate('donor', 'name avatar phone bloodGroup')
+      .populate('verifiedBy', 'name')
+      // Oldest unverified donations first so none are forgotten
+      .sort({ donationDate: verified ? -1 : 1 })
+      .skip(skip)
+      .limit(limit),
+    Donation.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Hospital donations retrieved successfully',
+    data: {
+      donations,
+      pagination: formatPagination(page, limit, total, 'Donations'),
+      filters: { verified }
+    }
+  });
+});
+
+// @desc    Confirm a donation and record post-donation vitals, test results and reactions
+// @route   PUT /hospital/donations/:donationId/verify
+// @access  Private (hospital staff, admin)
+const verifyDonation = catchAsync(async (req, res, next) => {
+  const { postDonationVitals, testResults, adverseReactions, medicalStaff, followUpDate, followUpNotes } = req.body;
+
+  const donation = await Donation.findById(req.params.donationId);
+
+  if (!donation) {
+    return next(new AppError('Donation not found', 404));
+  }
+
+  if (!worksAt(req.user, donation.hospital.name)) {
+    return next(new AppError('You can only verify donations made at your hospital', 403));
+  }
+
+  if (donation.donor.equals(req.user._id)) {
+    return next(new AppError('You cannot verify your own donation', 403));
+  }
+
+  if (donation.status !== 'completed') {
+    return next(new AppError('Only completed donations can be verified', 400));
+  }
+
+  if (donation.isVerified) {
+    return next(new AppError('Donation is already verified', 400));
+  }
+
+  if (testResults && testResults.bloodType && testResults.bloodType !== donation.bloodGroup) {
+    return next(new AppError(`Tested blood type ${testResults.bloodType} does not match the recorded blood group ${donation.bloodGroup}`, 400));
+  }
+
+  if (postDonationVitals) donation.postDonationVitals = postDonationVitals;
+  if (medicalStaff) donation.medicalStaff = medicalStaff;
+  if (testResults) {
+    donation.testResults = {
+      ...testResults,
+      testDate: testResults.testDate || new Date(),
+      testedBy: testResults.testedBy || req.user.name
+    };
+  }
+  if (adverseReactions) {
+    donation.adverseReactions = { ...adverseReactions, reportedBy: 'staff' };
+    // Donors who reacted badly need a follow-up
+    if (adverseReactions.occurred) donation.followUpRequired = true;
+  }
+  if (followUpDate) {
+    donation.followUpRequired = true;
+    donation.followUpDate = followUpDate;
+  }
+  if (followUpNotes) donation.followUpNotes = followUpNotes;
+
+  donation.isVerified = true;
+  donation.verifiedBy = req.user._id;
+  donation.verifiedAt = new Date();
+  donation.calculatePoints();
+
+  await donation.save();
+
+  issueDonationCertificate(donation).catch(error => {
+    logger.error('Failed to issue donation certificate', { donationId: donation.donationId, error: error.message });
+  });
+
+  // A donation confirmed in person verifies the donor
+  await User.updateOne({ _id: donation.donor }, { $set: { isVerified: true } });
+
+  notifyDonor(donation, req.user._id).catch(error => {
+    logger.error('Donation verification notification failed', { donationId: donation._id, error: error.message });
+  });
+
+  if (followUpDate) {
+    scheduleFollowUpReminders(donation, [followUpDate]).catch(error => {
+      logger.error('Failed to schedule follow-up reminder', { donationId: donation._id, error: error.message });
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Donation verified successfully',
+    data: {
+      donation
+    }
+  });
+});
+
+// @desc    Adverse reaction rates by donation type and hospital
+// @route   GET /admin/reports/adverse-reactions
+// @access  Private (admin, moderator, hospital staff)
+const getReactionReport = catchAsync(async (req, res, next) => {
+  const { from, to, district } = req.query;
+
+  const match = { status: 'completed' };
+  if (from || to) match.donationDate = buildDateRange(from, to);
+  if (district) match['hospital.district'] = district;
+
+  // Hospital staff only see their own hospital
+  if (req.user.role === 'hospital_staff') {
+    if (!req.user.hospital || !req.user.hospital.name) {
+      return next(new AppError('Your account is not linked to a hospital', 403));
+    }
+    match['hospital.name'] = hospitalNamePattern(req.user.hospital.name);
+  }
+
+  const [result] = await Donation.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        overall: [{ $group: reactionTotals(null) }],
+        byDonationType: [
+          { $group: reactionTotals('$donationType') },
+          { $addFields: { donationType: '$_id' } },
+          { $sort: { donationType: 1 } }
+        ],
+        byHospital: [
+          {
+            $group: {
+              ...reactionTotals({ $toLower: { $trim: { input: '$hospital.name' } } }),
+              hospital: { $first: '$hospital.name' },
+              district: { $first: '$hospital.district' }
+            }
+          },
+          { $sort: { reactions: -1, totalDonations: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const [overall] = result.overall;
+
+  res.json({
+    success: true,
+    message: 'Adverse reaction report retrieved successfully',
+    data: {
+      overall: overall
+        ? withReactionRate(overall)
+        : withReactionRate({ totalDonations: 0, reactions: 0, escalated: 0, mild: 0, moderate: 0, severe: 0 }),
+      byDonationType: result.byDonationType.map(withReactionRate),
+      byHospital: result.byHospital.map(withReactionRate),
+      filters: { from, to, district }
+    }
+  });
+});
+
+module.exports = {
+  assignHospitalStaff,
+  removeHospitalStaff,
+  getHospitalDonations,
+  verifyDonation,
+  getReactionReport
+};
@@ -0,0 +1,39 @@
+const { catchAsync } = require('../middleware/errorHandler');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { getLeaderboard: readLeaderboard } = require('../utils/leaderboards');
+
+// @desc    Get donors ranked by points, donations, units or lives saved
+// @route   GET /leaderboard
+// @access  Public (signed-in users also get their own rank)
+const getLeaderboard = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query, 20);
+  const { metric = 'points', period = 'all_time', district, bloodGroup } = req.query;
+
+  const { snapshot, entries, total, own } = await readLeaderboard({
+    metric,
+    period,
+    district,
+    bloodGroup,
+    skip,
+    limit,
+    userId: req.user && req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Leaderboard retrieved successfully',
+    data: {
+      leaderboard: entries,
+      // Null when signed out, opted out or not on this leaderboard
+      myRank: own,
+      pagination: formatPagination(page, limit, total, 'Donors'),
+      filters: { metric, period, district, bloodGroup },
+      periodStart: period === 'all_time' ? null : snapshot.periodStarts[period],
+      updatedAt: snapshot.completedAt
+    }
+  });
+});
+
+module.exports = {
+  getLeaderboard
+};
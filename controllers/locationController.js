@@ -0,0 +1,87 @@
+const BloodRequest = require('../models/BloodRequest');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { getSearchArea, geoNearStage } = require('../utils/geo');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { getHospitalQualityScores } = require('../utils/ratings');
+
+// @desc    Get hospitals near a location, based on blood request locations
+// @route   GET /locations/nearby
+// @access  Private
+const getNearbyLocations = catchAsync(async (req, res, next) => {
+  const { point, radius } = getSearchArea(req);
+
+  if (!point) {
+    return next(new AppError('Location is required. Provide latitude and longitude or save your location.', 400));
+  }
+
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const locations = await BloodRequest.aggregate([
+    geoNearStage(point, radius),
+    {
+      $group: {
+        _id: { hospitalName: '$hospitalName', district: '$location.district' },
+        address: { $first: '$location.address' },
+        upazila: { $first: '$location.upazila' },
+        coordinates: { $first: '$location.coordinates.coordinates' },
+        distance: { $min: '$distance' },
+        activeRequests: {
+          $sum: { $cond: [{ $in: ['$status', ['active', 'partial']] }, 1, 0] }
+        }
+      }
+    },
+    { $sort: { distance: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        hospitalName: '$_id.hospitalName',
+        district: '$_id.district',
+        upazila: 1,
+        address: 1,
+        latitude: { $arrayElemAt: ['$coordinates', 1] },
+        longitude: { $arrayElemAt: ['$coordinates', 0] },
+        distance: { $round: ['$distance', 2] },
+        activeRequests: 1
+      }
+    }
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Nearby locations retrieved successfully',
+    data: {
+      locations,
+      searchCriteria: {
+        latitude: point.coordinates[1],
+        longitude: point.coordinates[0],
+        radius
+      }
+    }
+  });
+});
+
+// @desc    Get hospitals ranked by donors' quality scores
+// @route   GET /locations/hospitals
+// @access  Public
+const getHospitals = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const { district } = req.query;
+
+  const { hospitals, total } = await getHospitalQualityScores({ district, skip, limit });
+
+  res.json({
+    success: true,
+    message: 'Hospitals retrieved successfully',
+    data: {
+      hospitals,
+      pagination: formatPagination(page, limit, total, 'Hospitals'),
+      filters: { district }
+    }
+  });
+});
+
+module.exports = {
+  getNearbyLocations,
+  getHospitals
+};
@@ -0,0 +1,393 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const BloodRequest = require('../models/BloodRequest');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { getUploadedFileInfo, getUploadLocation } = require('../middleware/upload');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { emitToUser } = require('../utils/socket');
+const { scanMessage } = require('../utils/messageFilter');
+
+// Messages loaded per page of a conversation
+const CONVERSATION_PAGE_SIZE = 50;
+
+// Message types that carry an uploaded file
+const ATTACHMENT_TYPES = ['image', 'document'];
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Return the other participant of a conversation the user belongs to, or null
+const getOtherParticipant = (conversationId, userId) => {
+  const participants = conversationId.split('_');
+  const ownId = userId.toString();
+
+  if (participants.length !== 2 || !participants.includes(ownId)) return null;
+
+  return participants[0] === ownId ? participants[1] : participants[0];
+};
+
+// Tell senders which of their messages were delivered or read
+const emitReceipts = (messages, status, at) => {
+  const bySender = new Map();
+
+  messages.forEach(message => {
+    const key = `${message.sender}:${message.conversationId}`;
+    if (!bySender.has(key)) {
+      bySender.set(key, { sender: message.sender, conversationId: message.conversationId, messageIds: [] });
+    }
+    bySender.get(key).messageIds.push(message._id);
+  });
+
+  bySender.forEach(({ sender, conversationId, messageIds }) => {
+    emitToUser(sender, 'message:receipt', { conversationId, messageIds, status, at });
+  });
+};
+
+// Mark messages sent to a user as delivered or read and notify their senders.
+// Messages held for moderation are never acknowledged.
+const applyReceipts = async (filter, status) => {
+  const now = new Date();
+  const pending = status === 'read'
+    ? { ...filter, isRead: false, isHidden: { $ne: true } }
+    : { ...filter, status: 'sent', isHidden: { $ne: true } };
+
+  const messages = await Message.find(pending).select('_id sender conversationId');
+  if (!messages.length) return 0;
+
+  const ids = messages.map(message => message._id);
+
+  if (status === 'read') {
+    // Reading implies delivery; keep an earlier deliveredAt
+    await Message.updateMany({ _id: { $in: ids } }, [
+      {
+        $set: {
+          isRead: true,
+          readAt: now,
+          status: 'read',
+          deliveredAt: { $ifNull: ['$deliveredAt', now] }
+        }
+      }
+    ]);
+  } else {
+    await Message.updateMany(
+      { _id: { $in: ids }, status: 'sent' },
+      { $set: { status: 'delivered', deliveredAt: now } }
+    );
+  }
+
+  emitReceipts(messages, status, now);
+
+  return ids.length;
+};
+
+// @desc    Send a direct message
+// @route   POST /messages/send
+// @access  Private
+const sendMessage = catchAsync(async (req, res, next) => {
+  const { recipient: recipientId, relatedBloodRequest, latitude, longitude, address } = req.body;
+  // Uploads of rejected messages are removed by discardUploadOnFailure
+  const fileInfo = getUploadedFileInfo(req);
+
+  const isImage = !!req.file && req.file.mimetype.startsWith('image/');
+  const messageType = req.body.messageType || (req.file ? (isImage ? 'image' : 'document') : 'text');
+  let message = req.body.message;
+
+  if (ATTACHMENT_TYPES.includes(messageType) !== !!req.file) {
+    return next(new AppError('Image and document messages need exactly one attachment; other messages cannot have one', 400));
+  }
+
+  if (messageType === 'image' && !isImage) {
+    return next(new AppError('Image messages must contain an image file', 400));
+  }
+
+  if (recipientId === req.user._id.toString()) {
+    return next(new AppError('You cannot send a message to yourself', 400));
+  }
+
+  const recipient = await User.findById(recipientId).select('name avatar status');
+
+  if (!recipient || recipient.status !== 'active') {
+    return next(new AppError('Recipient not found', 404));
+  }
+
+  if (await User.isBlockedBetween(req.user._id, recipient._id)) {
+    return next(new AppError('You cannot message this user', 403));
+  }
+
+  const content = {
+    _id: new mongoose.Types.ObjectId(),
+    sender: req.user._id,
+    recipient: recipient._id,
+    messageType,
+    metadata: {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    }
+  };
+
+  if (req.file) {
+    // Attachments are only served to the conversation through the message
+    const attachmentId = new mongoose.Types.ObjectId();
+    content.attachments = [{
+      _id: attachmentId,
+      type: messageType,
+      url: `/messages/${content._id}/attachments/${attachmentId}`,
+      filename: req.file.originalname,
+      size: req.file.size,
+      mimeType: req.file.mimetype,
+      localFile: fileInfo.local && path.basename(fileInfo.local.path),
+      cloudinaryUrl: fileInfo.cloudinary && fileInfo.cloudinary.url
+    }];
+    message = message || req.file.originalname;
+  }
+
+  if (messageType === 'location') {
+    content.location = { coordinates: { latitude, longitude }, address };
+    message = message || address || 'Shared a location';
+  }
+
+  if (messageType === 'blood_request') {
+    const request = await BloodRequest.findById(relatedBloodRequest);
+
+    if (!request || !['active', 'partial'].includes(request.status)) {
+      return next(new AppError('Only open blood requests can be shared', 400));
+    }
+
+    content.relatedBloodRequest = request._id;
+    message = message || `${request.bloodGroup} blood needed at ${request.hospitalName}, ${request.location.district}`;
+  }
+
+  // Queue suspected phone harvesting or payment solicitation for moderators
+  const filterResult = scanMessage(message);
+  if (filterResult.flagged) {
+    Object.assign(content, {
+      isFlagged: true,
+      flaggedReason: filterResult.reason,
+      flagSource: 'auto_filter',
+      moderationStatus: 'pending',
+      isHidden: filterResult.hide
+    });
+  }
+
+  const newMessage = await Message.create({ ...content, message });
+
+  await Message.populateForDisplay(newMessage);
+
+  // Held messages reach the recipient only if a moderator releases them
+  if (!newMessage.isHidden) {
+    emitToUser(recipient._id, 'message:new', { message: newMessage });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: newMessage.isHidden
+      ? 'Message is being held for review'
+      : 'Message sent successfully',
+    data: {
+      message: newMessage
+    }
+  });
+});
+
+// @desc    Get the current user's conversations
+// @route   GET /messages/conversations
+// @access  Private
+const getConversations = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const userId = new mongoose.Types.ObjectId(req.user._id);
+  const participantFilter = {
+    $or: [{ sender: userId }, { recipient: userId }],
+    isHidden: { $ne: true }
+  };
+
+  const [conversations, conversationIds, unreadCount] = await Promise.all([
+    Message.getUserConversations(req.user._id, { limit, skip }),
+    Message.distinct('conversationId', participantFilter),
+    Message.getUnreadCount(req.user._id)
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Conversations retrieved successfully',
+    data: {
+      conversations,
+      unreadCount,
+      pagination: formatPagination(page, limit, conversationIds.length, 'Conversations')
+    }
+  });
+});
+
+// @desc    Get messages in a conversation and mark them as read
+// @route   GET /messages/:conversationId
+// @access  Private
+const getConversationMessages = catchAsync(async (req, res, next) => {
+  const { conversationId } = req.params;
+  const otherUserId = getOtherParticipant(conversationId, req.user._id);
+
+  if (!otherUserId) {
+    return next(new AppError('You are not authorized to view this conversation', 403));
+  }
+
+  const { page, limit, skip } = getPagination(req.query, CONVERSATION_PAGE_SIZE);
+
+  const [messages, total, otherParticipant] = await Promise.all([
+    Message.getConversation(req.user._id, otherUserId, { limit, skip }),
+    Message.countDocuments({ conversationId, isHidden: { $ne: true } }),
+    User.findById(otherUserId).select('name avatar isAvailable lastLogin')
+  ]);
+
+  // Opening a conversation reads every message sent to the current user
+  const markedRead = await applyReceipts({ conversationId, recipient: req.user._id }, 'read');
+
+  res.json({
+    success: true,
+    message: 'Conversation retrieved successfully',
+    data: {
+      conversationId,
+      otherParticipant,
+      messages,
+      markedRead,
+      pagination: formatPagination(page, limit, total, 'Messages')
+    }
+  });
+});
+
+// @desc    Record delivered or read receipts for messages
+// @route   POST /messages/receipts
+// @access  Private
+const updateReceipts = catchAsync(async (req, res, next) => {
+  const { messageIds, status } = req.body;
+
+  const updatedCount = await applyReceipts(
+    { _id: { $in: messageIds }, recipient: req.user._id },
+    status
+  );
+
+  const unreadCount = await Message.getUnreadCount(req.user._id);
+
+  res.json({
+    success: true,
+    message: `Messages marked as ${status}`,
+    data: {
+      updatedCount,
+      unreadCount
+    }
+  });
+});
+
+// @desc    Search the current user's messages
+// @route   GET /messages/search
+// @access  Private
+const searchMessages = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const term = escapeRegex(req.query.q);
+  const userId = req.user._id;
+
+  const [messages, total] = await Promise.all([
+    Message.searchMessages(userId, term, { limit, skip }),
+    Message.countDocuments({
+      $or: [{ sender: userId }, { recipient: userId }],
+      message: { $regex: term, $options: 'i' },
+      messageType: 'text',
+      isHidden: { $ne: true }
+    })
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Messages retrieved successfully',
+    data: {
+      messages,
+      query: req.query.q,
+      pagination: formatPagination(page, limit, total, 'Messages')
+    }
+  });
+});
+
+// @desc    Report a received message to moderators
+// @route   POST /messages/:messageId/report
+// @access  Private (recipient)
+const reportMessage = catchAsync(async (req, res, next) => {
+  const { reason, details } = req.body;
+
+  const message = await Message.findById(req.params.messageId);
+
+  if (!message || message.isHidden) {
+    return next(new AppError('Message not found', 404));
+  }
+
+  if (message.recipient.toString() !== req.user._id.toString()) {
+    return next(new AppError('You can only report messages sent to you', 403));
+  }
+
+  if (message.reports.some(report => report.reporter.toString() === req.user._id.toString())) {
+    return next(new AppError('You have already reported this message', 400));
+  }
+
+  message.reports.push({ reporter: req.user._id, reason, details });
+  message.isFlagged = true;
+  message.flaggedReason = reason;
+  message.flagSource = 'user_report';
+  message.moderationStatus = 'pending';
+  await message.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Message reported successfully. Our moderators will review it.',
+    data: {
+      messageId: message._id,
+      moderationStatus: message.moderationStatus
+    }
+  });
+});
+
+// @desc    Download a message attachment
+// @route   GET /messages/:messageId/attachments/:attachmentId
+// @access  Private (conversation participants, moderators)
+const downloadAttachment = catchAsync(async (req, res, next) => {
+  const message = await Message.findById(req.params.messageId)
+    .select('+attachments.localFile +attachments.cloudinaryUrl');
+
+  const userId = req.user._id.toString();
+  const isModerator = ['admin', 'moderator'].includes(req.user.role);
+  const isSender = !!message && message.sender.toString() === userId;
+  const isRecipient = !!message && message.recipient.toString() === userId;
+
+  // Held messages stay with their sender until a moderator releases them
+  if (!message || !(isModerator || isSender || (isRecipient && !message.isHidden))) {
+    return next(new AppError('Attachment not found', 404));
+  }
+
+  const attachment = message.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    return next(new AppError('Attachment not found', 404));
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+
+  if (!attachment.localFile) {
+    if (attachment.cloudinaryUrl) return res.redirect(attachment.cloudinaryUrl);
+    return next(new AppError('Attachment not found', 404));
+  }
+
+  const filePath = path.resolve(getUploadLocation('attachment').local, attachment.localFile);
+
+  res.download(filePath, attachment.filename, { headers: { 'Content-Type': attachment.mimeType } }, error => {
+    if (error && !res.headersSent) {
+      next(new AppError('Attachment not found', 404));
+    }
+  });
+});
+
+module.exports = {
+  sendMessage,
+  downloadAttachment,
+  reportMessage,
+  getConversations,
+  getConversationMessages,
+  updateReceipts,
+  searchMessages
+};
@@ -0,0 +1,150 @@
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { catchAsync, AppError, logger } = require('../middleware/errorHandler');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { buildNotificationContent } = require('../utils/notificationTemplates');
+const { deliverNotification } = require('../utils/notificationDelivery');
+const { emitToUser, disconnectUser } = require('../utils/socket');
+
+// Tell a sender about a warning or suspension in their language
+const notifySender = async (sender, templateId, variables, moderatorId) => {
+  const notification = await Notification.create({
+    ...buildNotificationContent(templateId, sender, variables),
+    recipient: sender._id,
+    type: 'account_update',
+    category: 'important',
+    priority: 'high',
+    sender: moderatorId,
+    senderType: 'admin'
+  });
+
+  await deliverNotification(notification, sender);
+};
+
+// @desc    Get flagged messages waiting for review
+// @route   GET /admin/moderation/messages
+// @access  Private (admin, moderator)
+const getModerationQueue = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const { reason, source, status = 'pending' } = req.query;
+
+  const query = { isFlagged: true, moderationStatus: status };
+  if (reason) query.flaggedReason = reason;
+  if (source) query.flagSource = source;
+
+  const [messages, total] = await Promise.all([
+    Message.find(query)
+      .populate('sender', 'name email phone status moderationWarnings')
+      .populate('recipient', 'name')
+      .populate('reports.reporter', 'name')
+      // Oldest reports first so nothing waits forever
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit),
+    Message.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Moderation queue retrieved successfully',
+    data: {
+      messages,
+      pagination: formatPagination(page, limit, total, 'Messages'),
+      filters: { reason, source, status }
+    }
+  });
+});
+
+// @desc    Hide a flagged message, warn or suspend its sender, or dismiss the flag
+// @route   POST /admin/moderation/messages/:messageId
+// @access  Private (admin, moderator)
+const moderateMessage = catchAsync(async (req, res, next) => {
+  const { action, note } = req.body;
+
+  const message = await Message.findById(req.params.messageId);
+
+  if (!message) {
+    return next(new AppError('Message not found', 404));
+  }
+
+  const sender = await User.findById(message.sender);
+
+  if (action === 'suspend' && sender && ['admin', 'moderator'].includes(sender.role)) {
+    return next(new AppError('Staff accounts cannot be suspended from the moderation queue', 403));
+  }
+
+  const wasHidden = message.isHidden;
+  const reason = message.flaggedReason || 'other';
+
+  if (action === 'dismiss') {
+    // Release messages the automatic filter held back
+    message.isFlagged = false;
+    message.isHidden = false;
+    message.moderationStatus = 'dismissed';
+  } else {
+    // Every enforcement action removes the message from both inboxes
+    message.isHidden = true;
+    message.moderationStatus = 'reviewed';
+  }
+
+  message.moderationAction = action;
+  message.moderationNote = note;
+  message.moderatedBy = req.user._id;
+  message.moderatedAt = new Date();
+  await message.save();
+
+  if (sender && action === 'warn') {
+    sender.moderationWarnings.push({
+      reason,
+      note,
+      relatedMessage: message._id,
+      issuedBy: req.user._id
+    });
+    await sender.save({ validateBeforeSave: false });
+
+    await notifySender(sender, 'moderation_warning', { reason, note }, req.user._id);
+  }
+
+  if (sender && action === 'suspend') {
+    sender.status = 'suspended';
+    sender.suspendedAt = new Date();
+    sender.suspensionReason = reason;
+    // Sign the user out everywhere
+    sender.refreshTokens = [];
+    await sender.save({ validateBeforeSave: false });
+
+    await notifySender(sender, 'account_suspended', { reason, note }, req.user._id);
+    disconnectUser(sender._id);
+  }
+
+  // A released message is delivered now
+  if (action === 'dismiss' && wasHidden) {
+    await Message.populateForDisplay(message);
+    emitToUser(message.recipient._id, 'message:new', { message });
+  }
+
+  logger.info('Message moderated', {
+    messageId: message._id,
+    action,
+    senderId: message.sender,
+    moderatorId: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: `Moderation action "${action}" applied successfully`,
+    data: {
+      messageId: message._id,
+      action,
+      isHidden: message.isHidden,
+      moderationStatus: message.moderationStatus,
+      senderStatus: sender ? sender.status : null
+    }
+  });
+});
+
+module.exports = {
+  getModerationQueue,
+  moderateMessage
+};
@@ -0,0 +1,281 @@
+const Notification = require('../models/Notification');
+const { catchAsync, AppError, logger } = require('../middleware/errorHandler');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const {
+  rescheduleNotification: moveScheduledNotification,
+  cancelScheduledNotification: cancelScheduled
+} = require('../utils/notificationScheduler');
+
+// Client interaction names mapped to Notification.interactions fields
+const INTERACTIONS = {
+  click: 'clicked',
+  dismiss: 'dismissed',
+  share: 'shared'
+};
+
+// Parse the isRead query parameter; anything other than true/false means no filter
+const parseReadFilter = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
+
+// @desc    Get notifications for the current user
+// @route   GET /notifications
+// @access  Private
+const getNotifications = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const filters = {
+    type: req.query.type,
+    category: req.query.category,
+    priority: req.query.priority,
+    isRead: parseReadFilter(req.query.isRead)
+  };
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.getUserNotifications(req.user._id, { ...filters, limit, skip }),
+    Notification.countDocuments(Notification.getUserNotificationQuery(req.user._id, filters)),
+    Notification.getUnreadCount(req.user._id)
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Notifications retrieved successfully',
+    data: {
+      notifications,
+      pagination: {
+        ...formatPagination(page, limit, total, 'Notifications'),
+        unreadCount
+      }
+    }
+  });
+});
+
+// @desc    Mark notifications as read
+// @route   POST /notifications/mark-read
+// @access  Private
+const markNotificationsRead = catchAsync(async (req, res, next) => {
+  const { notificationIds = [], markAll = false } = req.body;
+
+  const filter = { recipient: req.user._id, isRead: false };
+  if (!markAll) {
+    filter._id = { $in: notificationIds };
+  }
+
+  const result = await Notification.updateMany(filter, {
+    $set: { isRead: true, readAt: new Date(), status: 'read' }
+  });
+
+  const remainingUnread = await Notification.getUnreadCount(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Notifications marked as read',
+    data: {
+      markedCount: result.modifiedCount,
+      remainingUnread
+    }
+  });
+});
+
+// @desc    Get unread notification count
+// @route   GET /notifications/unread-count
+// @access  Private
+const getUnreadCount = catchAsync(async (req, res, next) => {
+  const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Unread count retrieved successfully',
+    data: {
+      unreadCount
+    }
+  });
+});
+
+// @desc    Delete a notification
+// @route   DELETE /notifications/:id
+// @access  Private
+const deleteNotification = catchAsync(async (req, res, next) => {
+  const notification = await Notification.findOneAndDelete({
+    _id: req.params.id,
+    recipient: req.user._id
+  });
+
+  if (!notification) {
+    return next(new AppError('Notification not found', 404));
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification deleted successfully'
+  });
+});
+
+// @desc    Apply an action to several notifications
+// @route   POST /notifications/bulk-action
+// @access  Private
+const bulkNotificationAction = catchAsync(async (req, res, next) => {
+  const { action, notificationIds } = req.body;
+  const filter = { _id: { $in: notificationIds }, recipient: req.user._id };
+  const now = new Date();
+
+  let affectedCount;
+
+  if (action === 'delete') {
+    const result = await Notification.deleteMany(filter);
+    affectedCount = result.deletedCount;
+  } else {
+    const updates = {
+      read: { isRead: true, readAt: now, status: 'read' },
+      archive: { isArchived: true, archivedAt: now },
+      dismiss: {
+        isRead: true,
+        readAt: now,
+        status: 'read',
+        'interactions.dismissed': true,
+        'interactions.dismissedAt': now
+      }
+    };
+
+    // Do not move readAt for notifications that were already read
+    if (action === 'read') filter.isRead = false;
+
+    const result = await Notification.updateMany(filter, { $set: updates[action] });
+    affectedCount = result.modifiedCount;
+  }
+
+  const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Bulk action completed successfully',
+    data: {
+      action,
+      affectedCount,
+      unreadCount
+    }
+  });
+});
+
+// @desc    Record a click, dismiss or share on a notification
+// @route   POST /notifications/:id/interactions
+// @access  Private
+const trackNotificationInteraction = catchAsync(async (req, res, next) => {
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    recipient: req.user._id
+  });
+
+  if (!notification) {
+    return next(new AppError('Notification not found', 404));
+  }
+
+  await notification.trackInteraction(INTERACTIONS[req.body.type]);
+
+  res.json({
+    success: true,
+    message: 'Interaction recorded successfully',
+    data: {
+      notificationId: notification._id,
+      isRead: notification.isRead,
+      interactions: notification.interactions
+    }
+  });
+});
+
+// Load a notification the current user may manage: its recipient, its sender or an admin
+const findManagedNotification = async (req, next) => {
+  const notification = await Notification.findById(req.params.id);
+
+  if (!notification) {
+    next(new AppError('Notification not found', 404));
+    return null;
+  }
+
+  const userId = req.user._id.toString();
+  const isRecipient = notification.recipient.toString() === userId;
+  const isSender = notification.sender && notification.sender.toString() === userId;
+
+  if (!isRecipient && !isSender && req.user.role !== 'admin') {
+    next(new AppError('You are not authorized to manage this notification', 403));
+    return null;
+  }
+
+  return notification;
+};
+
+// @desc    Reschedule a pending scheduled notification
+// @route   PUT /notifications/:id/schedule
+// @access  Private
+const rescheduleNotification = catchAsync(async (req, res, next) => {
+  const notification = await findManagedNotification(req, next);
+  if (!notification) return;
+
+  if (!notification.isScheduled || notification.status !== 'pending') {
+    return next(new AppError('Only pending scheduled notifications can be rescheduled', 400));
+  }
+
+  const updated = await moveScheduledNotification(notification._id, req.body.scheduledFor);
+
+  // Released or changed by someone else since it was loaded
+  if (!updated) {
+    return next(new AppError('Notification has already been sent or changed. Please try again.', 409));
+  }
+
+  logger.info('Notification rescheduled', {
+    notificationId: updated._id,
+    scheduledFor: updated.scheduledFor,
+    userId: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Notification rescheduled successfully',
+    data: {
+      notification: updated
+    }
+  });
+});
+
+// @desc    Cancel a pending scheduled notification
+// @route   DELETE /notifications/:id/schedule
+// @access  Private
+const cancelScheduledNotification = catchAsync(async (req, res, next) => {
+  const notification = await findManagedNotification(req, next);
+  if (!notification) return;
+
+  if (!notification.isScheduled || notification.status !== 'pending') {
+    return next(new AppError('Only pending scheduled notifications can be cancelled', 400));
+  }
+
+  const cancelled = await cancelScheduled(notification._id);
+
+  if (!cancelled) {
+    return next(new AppError('Notification has already been sent', 409));
+  }
+
+  logger.info('Scheduled notification cancelled', {
+    notificationId: cancelled._id,
+    userId: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Scheduled notification cancelled successfully',
+    data: {
+      notification: cancelled
+    }
+  });
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationsRead,
+  getUnreadCount,
+  deleteNotification,
+  bulkNotificationAction,
+  trackNotificationInteraction,
+  rescheduleNotification,
+  cancelScheduledNotification
+};
@@ -0,0 +1,534 @@
+const BloodRequest = require('../models/BloodRequest');
+const User = require('../models/User');
+const { catchAsync, AppError, logger } = require('../middleware/errorHandler');
+const { getPagination, formatPagination } = require('../utils/pagination');
+const { getSearchArea, geoNearStage } = require('../utils/geo');
+const { canDonate } = require('../utils/compatibility');
+const { dispatchRequestAlerts } = require('../utils/requestAlerts');
+const { emitToUser, publishRequest } = require('../utils/socket');
+const { sendSystemMessage } = require('../utils/messaging');
+const { DONOR_CONTACT_FIELDS, formatResponseDonors } = require('../utils/privacy');
+const { recordDonation } = require('../utils/donations');
+
+// Fields a requester may change after the request has been created
+const UPDATABLE_FIELDS = [
+  'title',
+  'description',
+  'unitsNeeded',
+  'urgencyLevel',
+  'medicalCondition',
+  'hospitalName',
+  'doctorName',
+  'location',
+  'contactPerson',
+  'neededBy',
+  'isEmergency',
+  'attachments'
+];
+
+// Load a request and make sure the current user owns it
+const findOwnedRequest = async (req, next) => {
+  const request = await BloodRequest.findById(req.params.id);
+
+  if (!request) {
+    next(new AppError('Blood request not found', 404));
+    return null;
+  }
+
+  if (request.requestedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    next(new AppError('You can only modify your own blood requests', 403));
+    return null;
+  }
+
+  return request;
+};
+
+// @desc    Create blood request
+// @route   POST /requests/create
+// @access  Private
+const createRequest = catchAsync(async (req, res, next) => {
+  const {
+    title,
+    description,
+    patientName,
+    patientAge,
+    patientGender,
+    bloodGroup,
+    unitsNeeded,
+    donationType,
+    urgencyLevel,
+    medicalCondition,
+    hospitalName,
+    doctorName,
+    location,
+    contactPerson,
+    neededBy,
+    isEmergency = false,
+    attachments
+  } = req.body;
+
+  const request = await BloodRequest.create({
+    title,
+    description,
+    patientName,
+    patientAge,
+    patientGender,
+    bloodGroup,
+    unitsNeeded,
+    donationType,
+    urgencyLevel,
+    medicalCondition,
+    hospitalName,
+    doctorName,
+    location,
+    contactPerson,
+    neededBy,
+    isEmergency,
+    attachments,
+    requestedBy: req.user._id
+  });
+
+  // Alert nearby donors in the background so the requester is not kept waiting
+  dispatchRequestAlerts(request).catch(error => {
+    logger.error('Blood request alert dispatch failed', { requestId: request._id, error: error.message });
+  });
+
+  publishRequest(request);
+
+  res.status(201).json({
+    success: true,
+    message: 'Blood request created successfully',
+    data: request
+  });
+});
+
+// @desc    Get blood requests with filters
+// @route   GET /requests
+// @access  Public
+const getRequests = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+  const { bloodGroup, district, status } = req.query;
+  const urgencyLevel = req.query.urgencyLevel || req.query.urgency;
+
+  const query = {};
+  if (bloodGroup) query.bloodGroup = bloodGroup;
+  if (district) query['location.district'] = district;
+  if (urgencyLevel) query.urgencyLevel = urgencyLevel;
+
+  // Only open requests are listed unless a status is asked for explicitly
+  if (status) {
+    query.status = status;
+  } else {
+    query.status = { $in: ['active', 'partial'] };
+  }
+
+  const [requests, total] = await Promise.all([
+    BloodRequest.find(query)
+      .populate('requestedBy', 'name avatar')
+      .select('-responses -adminNotes')
+      .sort({ isEmergency: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    BloodRequest.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Blood requests retrieved successfully',
+    data: {
+      requests,
+      pagination: formatPagination(page, limit, total, 'Requests'),
+      filters: { bloodGroup, district, urgency: urgencyLevel, status }
+    }
+  });
+});
+
+// @desc    Get emergency blood requests
+// @route   GET /requests/emergency
+// @access  Public
+const getEmergencyRequests = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  const query = {
+    status: { $in: ['active', 'partial'] },
+    neededBy: { $gt: Date.now() },
+    $or: [{ isEmergency: true }, { urgencyLevel: 'critical' }]
+  };
+  if (req.query.district) query['location.district'] = req.query.district;
+
+  const [requests, total] = await Promise.all([
+    BloodRequest.find(query)
+      .populate('requestedBy', 'name avatar')
+      .select('-responses -adminNotes')
+      .sort({ neededBy: 1 })
+      .skip(skip)
+      .limit(limit),
+    BloodRequest.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Emergency requests retrieved successfully',
+    data: {
+      requests,
+      pagination: formatPagination(page, limit, total, 'Requests')
+    }
+  });
+});
+
+// @desc    Get current user's blood requests
+// @route   GET /requests/my-requests
+// @access  Private
+const getMyRequests = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = getPagination(req.query);
+
+  const query = { requestedBy: req.user._id };
+  if (req.query.status) query.status = req.query.status;
+
+  const [requests, total] = await Promise.all([
+    BloodRequest.find(query)
+      .populate('responses.donor', `name avatar bloodGroup ${DONOR_CONTACT_FIELDS}`)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    BloodRequest.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Your blood requests retrieved successfully',
+    data: {
+      requests: requests.map(request => {
+        const data = request.toJSON();
+        data.responses = formatResponseDonors(data.responses);
+        return data;
+      }),
+      pagination: formatPagination(page, limit, total, 'Requests')
+    }
+  });
+});
+
+// @desc    Get open blood requests near a location sorted by distance
+// @route   GET /requests/nearby
+// @access  Private
+const getNearbyRequests = catchAsync(async (req, res, next) => {
+  const { point, radius } = getSearchArea(req);
+
+  if (!point) {
+    return next(new AppError('Location is required. Provide latitude and longitude or save your location.', 400));
+  }
+
+  const { page, limit, skip } = getPagination(req.query);
+  const urgencyLevel = req.query.urgencyLevel || req.query.urgency;
+
+  const query = {
+    status: { $in: ['active', 'partial'] },
+    neededBy: { $gt: new Date() }
+  };
+  if (req.query.bloodGroup) query.bloodGroup = req.query.bloodGroup;
+  if (urgencyLevel) query.urgencyLevel = urgencyLevel;
+
+  const [result] = await BloodRequest.aggregate([
+    geoNearStage(point, radius, query),
+    {
+      $facet: {
+        requests: [
+          { $skip: skip },
+          { $limit: limit },
+          { $addFields: { distance: { $round: ['$distance', 2] } } },
+          { $project: { responses: 0, adminNotes: 0 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+
+  res.json({
+    success: true,
+    message: 'Nearby blood requests retrieved successfully',
+    data: {
+      requests: result.requests,
+      pagination: formatPagination(page, limit, total, 'Requests'),
+      searchCriteria: {
+        latitude: point.coordinates[1],
+        longitude: point.coordinates[0],
+        radius,
+        bloodGroup: req.query.bloodGroup,
+        urgency: urgencyLevel
+      }
+    }
+  });
+});
+
+// @desc    Get blood request by ID
+// @route   GET /requests/:id
+// @access  Public
+const getRequest = catchAsync(async (req, res, next) => {
+  const request = await BloodRequest.findByIdAndUpdate(
+    req.params.id,
+    { $inc: { viewCount: 1 } },
+    { new: true }
+  )
+    .populate('requestedBy', 'name avatar')
+    .populate('responses.donor', `name avatar bloodGroup ${DONOR_CONTACT_FIELDS}`);
+
+  if (!request) {
+    return next(new AppError('Blood request not found', 404));
+  }
+
+  if (!request.requestedBy) {
+    return next(new AppError('Requester no longer exists', 404));
+  }
+
+  // Responses and admin notes are only visible to the owner
+  const isOwner = req.user && request.requestedBy._id.toString() === req.user._id.toString();
+  const data = request.toJSON();
+  if (isOwner) {
+    data.responses = formatResponseDonors(data.responses);
+  } else {
+    delete data.responses;
+    delete data.adminNotes;
+  }
+
+  res.json({
+    success: true,
+    message: 'Blood request retrieved successfully',
+    data
+  });
+});
+
+// @desc    Update blood request
+// @route   PUT /requests/:id
+// @access  Private (owner)
+const updateRequest = catchAsync(async (req, res, next) => {
+  const request = await findOwnedRequest(req, next);
+  if (!request) return;
+
+  if (['fulfilled', 'cancelled', 'expired'].includes(request.status)) {
+    return next(new AppError(`Cannot update a ${request.status} blood request`, 400));
+  }
+
+  UPDATABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      request[field] = req.body[field];
+    }
+  });
+
+  if (request.unitsNeeded < request.unitsFulfilled) {
+    return next(new AppError('Units needed cannot be less than units already fulfilled', 400));
+  }
+
+  await request.save();
+
+  res.json({
+    success: true,
+    message: 'Blood request updated successfully',
+    data: request
+  });
+});
+
+// @desc    Cancel blood request
+// @route   DELETE /requests/:id
+// @access  Private (owner)
+const cancelRequest = catchAsync(async (req, res, next) => {
+  const request = await findOwnedRequest(req, next);
+  if (!request) return;
+
+  if (request.status === 'cancelled') {
+    return next(new AppError('Blood request is already cancelled', 400));
+  }
+
+  if (request.status === 'fulfilled') {
+    return next(new AppError('Cannot cancel a fulfilled blood request', 400));
+  }
+
+  // Soft delete - keep the record for donor history and analytics
+  request.status = 'cancelled';
+  await request.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Blood request cancelled successfully',
+    data: {
+      _id: request._id,
+      status: request.status
+    }
+  });
+});
+
+// @desc    Respond to blood request as a donor
+// @route   POST /requests/:id/respond
+// @access  Private (donor)
+const respondToRequest = catchAsync(async (req, res, next) => {
+  const { message, unitsPromised = 1 } = req.body;
+
+  const request = await BloodRequest.findById(req.params.id);
+
+  if (!request) {
+    return next(new AppError('Blood request not found', 404));
+  }
+
+  if (request.requestedBy.toString() === req.user._id.toString()) {
+    return next(new AppError('You cannot respond to your own blood request', 400));
+  }
+
+  if (await User.isBlockedBetween(req.user._id, request.requestedBy)) {
+    return next(new AppError('You cannot respond to this blood request', 403));
+  }
+
+  if (!canDonate(req.user.bloodGroup, request.bloodGroup, request.donationType)) {
+    return next(new AppError(`${req.user.bloodGroup} donors cannot donate ${(request.donationType || 'whole_blood').replace(/_/g, ' ')} to ${request.bloodGroup} patients`, 400));
+  }
+
+  if (!request.canUserRespond(req.user._id)) {
+    return next(new AppError('This request is closed or you have already responded to it', 400));
+  }
+
+  await request.addResponse(req.user._id, message, unitsPromised);
+
+  const response = request.responses[request.responses.length - 1];
+
+  emitToUser(request.requestedBy, 'request:response', {
+    requestId: request._id,
+    response,
+    donor: { _id: req.user._id, name: req.user.name, bloodGroup: req.user.bloodGroup }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Response submitted successfully',
+    data: {
+      requestId: request._id,
+      response
+    }
+  });
+});
+
+// @desc    Accept or reject a donor response
+// @route   PUT /requests/:id/responses/:responseId
+// @access  Private (owner)
+const updateResponseStatus = catchAsync(async (req, res, next) => {
+  const { status } = req.body;
+
+  const request = await findOwnedRequest(req, next);
+  if (!request) return;
+
+  const response = request.responses.id(req.params.responseId);
+
+  if (!response) {
+    return next(new AppError('Response not found', 404));
+  }
+
+  if (response.status !== 'pending') {
+    return next(new AppError(`Response has already been ${response.status}`, 400));
+  }
+
+  await request.updateResponseStatus(response._id, status);
+
+  emitToUser(response.donor, 'request:response', {
+    requestId: request._id,
+    response: request.responses.id(response._id)
+  });
+
+  res.json({
+    success: true,
+    message: `Response ${status} successfully`,
+    data: {
+      requestId: request._id,
+      response: request.responses.id(response._id)
+    }
+  });
+});
+
+// @desc    Mark an accepted response as completed and record the donation
+// @route   POST /requests/:id/responses/:responseId/complete
+// @access  Private (owner)
+const completeResponse = catchAsync(async (req, res, next) => {
+  const { donationDate, donationType, bloodBagId, specialNotes } = req.body;
+
+  const owned = await findOwnedRequest(req, next);
+  if (!owned) return;
+
+  const ownedResponse = owned.responses.id(req.params.responseId);
+
+  if (!ownedResponse) {
+    return next(new AppError('Response not found', 404));
+  }
+
+  if (ownedResponse.status !== 'accepted') {
+    return next(new AppError('Only accepted responses can be marked as completed', 400));
+  }
+
+  const donor = await User.findById(ownedResponse.donor);
+
+  if (!donor) {
+    return next(new AppError('Donor no longer exists', 404));
+  }
+
+  const { donation, request } = await recordDonation({
+    donor,
+    requestId: owned._id,
+    responseId: ownedResponse._id,
+    donationData: {
+      unitsdonated: ownedResponse.unitsPromised,
+      donationDate: donationDate ? new Date(donationDate) : new Date(),
+      donationType: donationType || owned.donationType || 'whole_blood',
+      hospital: {
+        name: owned.hospitalName,
+        address: owned.location.address,
+        district: owned.location.district
+      },
+      isEmergencyDonation: owned.isEmergency || owned.urgencyLevel === 'critical',
+      bloodBagId,
+      specialNotes
+    }
+  });
+
+  emitToUser(donor._id, 'request:response', {
+    requestId: request._id,
+    response: request.responses.id(req.params.responseId),
+    donationId: donation.donationId
+  });
+
+  // Leave a record of the donation in the requester/donor conversation
+  sendSystemMessage({
+    sender: request.requestedBy,
+    recipient: donor._id,
+    systemMessageType: 'donation_completed',
+    message: `Donation completed at ${request.hospitalName}. Thank you for saving a life!`,
+    relatedBloodRequest: request._id
+  }).catch(error => {
+    logger.error('Donation system message failed', { requestId: request._id, error: error.message });
+  });
+
+  res.json({
+    success: true,
+    message: 'Donation completed successfully',
+    data: {
+      request: {
+        _id: request._id,
+        status: request.status,
+        unitsFulfilled: request.unitsFulfilled,
+        unitsNeeded: request.unitsNeeded
+      },
+      response: request.responses.id(req.params.responseId),
+      donation
+    }
+  });
+});
+
+module.exports = {
+  createRequest,
+  getRequests,
+  getEmergencyRequests,
+  getMyRequests,
+  getNearbyRequests,
+  getRequest,
+  updateRequest,
+  cancelRequest,
+  respondToRequest,
+  updateResponseStatus,
+  completeResponse
+};
@@ -0,0 +1,159 @@
+const User = require('../models/User');
+const { catchAsync, AppError, logger } = require('../middleware/errorHandler');
+const { removeFromLeaderboards } = require('../utils/leaderboards');
+
+// Profile fields a user can change; location is updated key by key
+const PROFILE_FIELDS = ['name', 'phone', 'weight', 'language'];
+const LOCATION_FIELDS = ['district', 'upazila', 'address'];
+
+// Privacy flags a user can change
+const PRIVACY_FIELDS = ['showPhone', 'showEmail', 'showLastDonation', 'showOnLeaderboard'];
+
+// @desc    Update the current user's profile
+// @route   PUT /user/profile
+// @access  Private
+const updateProfile = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  PROFILE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) user.set(field, req.body[field]);
+  });
+
+  const location = req.body.location || {};
+  LOCATION_FIELDS.forEach(field => {
+    if (location[field] !== undefined) user.set(`location.${field}`, location[field]);
+  });
+
+  // A new phone number has to be verified again
+  if (user.isModified('phone')) {
+    user.phoneVerified = false;
+  }
+
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Profile updated successfully',
+    data: user
+  });
+});
+
+// @desc    Get users blocked by the current user
+// @route   GET /user/blocked
+// @access  Private
+const getBlockedUsers = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id)
+    .select('blockedUsers')
+    .populate('blockedUsers.user', 'name avatar');
+
+  res.json({
+    success: true,
+    message: 'Blocked users retrieved successfully',
+    data: {
+      blockedUsers: user.blockedUsers
+    }
+  });
+});
+
+// @desc    Block a user from messaging, calling, responding to and finding you
+// @route   POST /user/blocked/:userId
+// @access  Private
+const blockUser = catchAsync(async (req, res, next) => {
+  const { userId } = req.params;
+
+  if (userId === req.user._id.toString()) {
+    return next(new AppError('You cannot block yourself', 400));
+  }
+
+  const target = await User.exists({ _id: userId });
+
+  if (!target) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const result = await User.updateOne(
+    { _id: req.user._id, 'blockedUsers.user': { $ne: userId } },
+    { $push: { blockedUsers: { user: userId, blockedAt: new Date() } } }
+  );
+
+  if (!result.modifiedCount) {
+    return next(new AppError('User is already blocked', 400));
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'User blocked successfully',
+    data: {
+      userId
+    }
+  });
+});
+
+// @desc    Unblock a user
+// @route   DELETE /user/blocked/:userId
+// @access  Private
+const unblockUser = catchAsync(async (req, res, next) => {
+  const { userId } = req.params;
+
+  const result = await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { blockedUsers: { user: userId } } }
+  );
+
+  if (!result.modifiedCount) {
+    return next(new AppError('User is not blocked', 404));
+  }
+
+  res.json({
+    success: true,
+    message: 'User unblocked successfully',
+    data: {
+      userId
+    }
+  });
+});
+
+// @desc    Update privacy settings
+// @route   PUT /user/privacy
+// @access  Private
+const updatePrivacySettings = catchAsync(async (req, res, next) => {
+  const updates = {};
+  PRIVACY_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      updates[`privacySettings.${field}`] = req.body[field];
+    }
+  });
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: updates },
+    { new: true }
+  ).select('privacySettings');
+
+  // Leaderboards are rebuilt periodically, so opting out also takes effect now
+  if (req.body.showOnLeaderboard === false) {
+    removeFromLeaderboards(req.user._id).catch(error => {
+      logger.error('Failed to remove user from leaderboards', { userId: req.user._id, error: error.message });
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Privacy settings updated successfully',
+    data: {
+      privacySettings: user.privacySettings
+    }
+  });
+});
+
+module.exports = {
+  updateProfile,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  updatePrivacySettings
+};
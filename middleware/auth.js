@@ -1,6 +1,30 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { promisify } = require('util');
+const { AppError } = require('./errorHandler');
+
+// Resolve the active user for an access token. Shared by protect and the socket gateway.
+const verifyAccessToken = async (token) => {
+  const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+  
+  // Check if user still exists
+  const currentUser = await User.findById(decoded.id).select('+refreshTokens');
+  if (!currentUser) {
+    throw new AppError('The user belonging to this token no longer exists.', 401);
+  }
+  
+  // Check if user account is active
+  if (currentUser.status !== 'active') {
+    throw new AppError('Your account has been suspended. Please contact support.', 401);
+  }
+  
+  // Check if user is locked
+  if (currentUser.isLocked) {
+    throw new AppError('Account temporarily locked due to multiple failed login attempts.', 423);
+  }
+  
+  return currentUser;
+};
 
 // Protect routes - check for valid JWT token
 const protect = async (req, res, next) => {
@@ -19,39 +43,16 @@ const protect = async (req, res, next) => {
       });
     }
     
-    // Verify token
-    const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
-    
-    // Check if user still exists
-    const currentUser = await User.findById(decoded.id).select('+refreshTokens');
-    if (!currentUser) {
-      return res.status(401).json({
-        success: false,
-        message: 'The user belonging to this token no longer exists.'
-      });
-    }
-    
-    // Check if user account is active
-    if (currentUser.status !== 'active') {
-      return res.status(401).json({
-        success: false,
-        message: 'Your account has been suspended. Please contact support.'
-      });
-    }
-    
-    // Check if user is locked
-    if (currentUser.isLocked) {
-      return res.status(423).json({
-        success: false,
-        message: 'Account temporarily locked due to multiple failed login attempts.'
-      });
-    }
-    
-    // Grant access to protected route
-    req.user = currentUser;
+    // Verify token and grant access to protected route
+    req.user = await verifyAccessToken(token);
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    } else if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
         message: 'Invalid token.'
@@ -307,6 +308,7 @@ const logoutFromAllDevices = async (req, res, next) => {
 };
 
 module.exports = {
+  verifyAccessToken,
   protect,
   optionalAuth,
   restrictTo,
@@ -86,6 +86,7 @@ const sendErrorDev = (err, req, res) => {
       success: false,
       error: err,
       message: err.message,
+      ...(err.reasons && { reasons: err.reasons }),
       stack: err.stack
     });
   }
@@ -99,7 +100,9 @@ const sendErrorProd = (err, req, res) => {
     if (err.isOperational) {
       return res.status(err.statusCode).json({
         success: false,
-        message: err.message
+        message: err.message,
+        // Details such as the reasons a donation was refused
+        ...(err.reasons && { reasons: err.reasons })
       });
     }
     
@@ -14,13 +14,27 @@ if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && proce
   });
 }
 
+// Local directory and Cloudinary folder for each upload field. Message
+// attachments are kept outside assets/ so they are never served statically.
+const UPLOAD_LOCATIONS = {
+  avatar: { local: 'assets/profileimage', cloudinary: 'bloodcare/profileimages' },
+  profileImage: { local: 'assets/profileimage', cloudinary: 'bloodcare/profileimages' },
+  document: { local: 'assets/documents', cloudinary: 'bloodcare/documents' },
+  certificate: { local: 'assets/certificates', cloudinary: 'bloodcare/certificates' },
+  attachment: { local: 'private/attachments', cloudinary: 'bloodcare/attachments' }
+};
+
+const getUploadLocation = (fieldName) =>
+  UPLOAD_LOCATIONS[fieldName] || { local: 'assets', cloudinary: 'bloodcare/misc' };
+
 // Create uploads directory if it doesn't exist
 const createUploadDirs = () => {
   const dirs = [
     'assets',
     'assets/profileimage',
     'assets/documents',
-    'assets/certificates'
+    'assets/certificates',
+    'private/attachments'
   ];
   
   dirs.forEach(dir => {
@@ -35,17 +49,7 @@ createUploadDirs();
 // Local storage configuration
 const localStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    let uploadPath = 'assets/';
-    
-    if (file.fieldname === 'avatar' || file.fieldname === 'profileImage') {
-      uploadPath = 'assets/profileimage/';
-    } else if (file.fieldname === 'document') {
-      uploadPath = 'assets/documents/';
-    } else if (file.fieldname === 'certificate') {
-      uploadPath = 'assets/certificates/';
-    }
-    
-    cb(null, uploadPath);
+    cb(null, `${getUploadLocation(file.fieldname).local}/`);
   },
   filename: (req, file, cb) => {
     // Generate unique filename
@@ -62,18 +66,8 @@ if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && proce
   cloudinaryStorage = new CloudinaryStorage({
     cloudinary: cloudinary,
     params: (req, file) => {
-      let folder = 'bloodcare/misc';
-      
-      if (file.fieldname === 'avatar' || file.fieldname === 'profileImage') {
-        folder = 'bloodcare/profileimages';
-      } else if (file.fieldname === 'document') {
-        folder = 'bloodcare/documents';
-      } else if (file.fieldname === 'certificate') {
-        folder = 'bloodcare/certificates';
-      }
-      
       return {
-        folder: folder,
+        folder: getUploadLocation(file.fieldname).cloudinary,
         allowed_formats: ['jpg', 'jpeg', 'png', 'pdf', 'doc', 'docx'],
         public_id: `${file.fieldname}-${Date.now()}`,
       };
@@ -91,7 +85,7 @@ const fileFilter = (req, file, cb) => {
     } else {
       cb(new AppError('Only image files are allowed for profile pictures', 400), false);
     }
-  } else if (file.fieldname === 'document' || file.fieldname === 'certificate') {
+  } else if (['document', 'certificate', 'attachment'].includes(file.fieldname)) {
     // Images and documents for other uploads
     const allowedTypes = [
       'image/jpeg', 'image/jpg', 'image/png', 'image/webp',
@@ -137,8 +131,10 @@ const uploadToBoth = async (file, req) => {
   
   try {
     // Upload to local storage
+    const location = getUploadLocation(file.fieldname);
+    
     if (process.env.SAVE_LOCAL === 'true') {
-      const localPath = `assets/profileimage/${file.filename}`;
+      const localPath = `${location.local}/${file.filename}`;
       results.local = {
         filename: file.filename,
         path: localPath,
@@ -149,8 +145,8 @@ const uploadToBoth = async (file, req) => {
     // Upload to Cloudinary
     if (process.env.SAVE_CLOUDINARY === 'true') {
       const cloudinaryResult = await cloudinary.uploader.upload(file.path || file.buffer, {
-        folder: 'bloodcare/profileimages',
-        public_id: `profile-${Date.now()}`,
+        folder: location.cloudinary,
+        public_id: `${file.fieldname}-${Date.now()}`,
         resource_type: 'auto'
       });
       
@@ -200,6 +196,35 @@ const dualUploadMiddleware = (fieldName) => {
   };
 };
 
+// Build the same file info shape for single and dual uploads
+const getUploadedFileInfo = (req) => {
+  if (req.uploadResults) {
+    return req.uploadResults;
+  }
+  
+  if (!req.file) {
+    return null;
+  }
+  
+  if (process.env.UPLOAD_STRATEGY === 'cloudinary' && cloudinaryStorage) {
+    return {
+      cloudinary: {
+        public_id: req.file.filename,
+        url: req.file.path
+      }
+    };
+  }
+  
+  const localPath = `${getUploadLocation(req.file.fieldname).local}/${req.file.filename}`;
+  return {
+    local: {
+      filename: req.file.filename,
+      path: req.file.path,
+      url: `${req.protocol}://${req.get('host')}/${localPath}`
+    }
+  };
+};
+
 // Delete file from storage
 const deleteFile = async (fileInfo) => {
   try {
@@ -219,6 +244,16 @@ const deleteFile = async (fileInfo) => {
   }
 };
 
+// Remove the uploaded file when the request ends with an error response,
+// including validation failures answered before the controller runs
+const discardUploadOnFailure = (req, res, next) => {
+  res.on('finish', () => {
+    const fileInfo = res.statusCode >= 400 && getUploadedFileInfo(req);
+    if (fileInfo) deleteFile(fileInfo);
+  });
+  next();
+};
+
 // Get file URL based on priority
 const getFileUrl = (fileInfo) => {
   const priority = process.env.FILE_URL_PRIORITY || 'cloudinary'; // cloudinary, local
@@ -236,14 +271,30 @@ const getFileUrl = (fileInfo) => {
 // Serve static files
 const serveStaticFiles = (app) => {
   const express = require('express');
+  // Donation exports are only served through their signed download links
+  app.use('/assets', (req, res, next) => {
+    let filePath = req.path;
+    try {
+      filePath = decodeURIComponent(filePath);
+    } catch (error) {
+      // Leave malformed paths to express.static
+    }
+    if (path.posix.normalize(filePath).startsWith('/documents/exports/')) {
+      return next(new AppError('File not found', 404));
+    }
+    next();
+  });
   app.use('/assets', express.static('assets'));
 };
 
 module.exports = {
   upload,
+  getUploadLocation,
   dualUploadMiddleware,
   deleteFile,
   getFileUrl,
+  getUploadedFileInfo,
+  discardUploadOnFailure,
   serveStaticFiles,
   cloudinary
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
-const { body, param, query, validationResult } = require('express-validator');
+const { body, param, query, check, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -82,6 +83,18 @@ const validateUserRegistration = [
     .isFloat({ min: 30, max: 200 })
     .withMessage('Weight must be between 30 and 200 kg'),
     
+  body('language')
+    .optional()
+    .isIn(['bn', 'en'])
+    .withMessage('Language must be bn or en'),
+    
+  body('referralCode')
+    .optional()
+    .trim()
+    .isAlphanumeric()
+    .isLength({ min: 8, max: 8 })
+    .withMessage('Referral code must be 8 letters or numbers'),
+    
   handleValidationErrors
 ];
 
@@ -141,6 +154,11 @@ const validateBloodRequest = [
     .isInt({ min: 1, max: 10 })
     .withMessage('Units needed must be between 1 and 10'),
     
+  body('donationType')
+    .optional()
+    .isIn(['whole_blood', 'plasma', 'platelets', 'double_red_cells'])
+    .withMessage('Invalid donation type'),
+    
   body('urgencyLevel')
     .isIn(['low', 'medium', 'high', 'critical'])
     .withMessage('Urgency level must be low, medium, high, or critical'),
@@ -182,6 +200,52 @@ const validateBloodRequest = [
   handleValidationErrors
 ];
 
+// Blood request response validation
+const validateRequestResponse = [
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+    
+  body('unitsPromised')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Units promised must be between 1 and 4'),
+    
+  handleValidationErrors
+];
+
+// Response status update validation
+const validateResponseStatus = [
+  body('status')
+    .isIn(['accepted', 'rejected'])
+    .withMessage('Status must be accepted or rejected'),
+    
+  handleValidationErrors
+];
+
+// Response completion validation
+const validateResponseCompletion = [
+  body('donationDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .custom((value) => {
+      if (value > Date.now()) {
+        throw new Error('Donation date cannot be in the future');
+      }
+      return true;
+    }),
+    
+  body('donationType')
+    .optional()
+    .isIn(['whole_blood', 'plasma', 'platelets', 'double_red_cells'])
+    .withMessage('Invalid donation type'),
+    
+  handleValidationErrors
+];
+
 // Donation record validation
 const validateDonationRecord = [
   body('bloodGroup')
@@ -196,7 +260,14 @@ const validateDonationRecord = [
     .isIn(['whole_blood', 'plasma', 'platelets', 'double_red_cells'])
     .withMessage('Invalid donation type'),
     
+  body('bloodRequest')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid blood request ID'),
+    
+  // Donations for a request default to the request's hospital
   body('hospital.name')
+    .if(body('bloodRequest').not().exists())
     .trim()
     .notEmpty()
     .withMessage('Hospital name is required'),
@@ -204,7 +275,326 @@ const validateDonationRecord = [
   body('donationDate')
     .optional()
     .isISO8601()
-    .toDate(),
+    .toDate()
+    .custom(value => value <= new Date())
+    .withMessage('Donation date cannot be in the future'),
+    
+  body('predonationVitals.weight')
+    .optional()
+    .isFloat({ min: 30, max: 250 })
+    .withMessage('Weight must be between 30 and 250 kg'),
+    
+  body(['predonationVitals.bloodPressure.systolic', 'postDonationVitals.bloodPressure.systolic'])
+    .optional()
+    .isInt({ min: 50, max: 250 })
+    .withMessage('Systolic blood pressure must be between 50 and 250 mmHg'),
+    
+  body(['predonationVitals.bloodPressure.diastolic', 'postDonationVitals.bloodPressure.diastolic'])
+    .optional()
+    .isInt({ min: 30, max: 150 })
+    .withMessage('Diastolic blood pressure must be between 30 and 150 mmHg'),
+    
+  body('predonationVitals.hemoglobinLevel')
+    .optional()
+    .isFloat({ min: 3, max: 25 })
+    .withMessage('Hemoglobin level must be between 3 and 25 g/dL'),
+    
+  body('predonationVitals.temperature')
+    .optional()
+    .isFloat({ min: 30, max: 45 })
+    .withMessage('Temperature must be between 30 and 45 °C'),
+    
+  body(['predonationVitals.pulse', 'postDonationVitals.pulse'])
+    .optional()
+    .isInt({ min: 20, max: 250 })
+    .withMessage('Pulse must be between 20 and 250 bpm'),
+    
+  body('postDonationVitals.condition')
+    .optional()
+    .isIn(['excellent', 'good', 'fair', 'needs_monitoring'])
+    .withMessage('Invalid post-donation condition'),
+    
+  body('bloodBagId')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Blood bag ID cannot exceed 50 characters'),
+    
+  body('specialNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+    
+  handleValidationErrors
+];
+
+// Donation history filters
+const validateDonationHistoryQuery = [
+  query('donationType')
+    .optional()
+    .isIn(['whole_blood', 'plasma', 'platelets', 'double_red_cells'])
+    .withMessage('Invalid donation type'),
+    
+  query('status')
+    .optional()
+    .isIn(['scheduled', 'in_progress', 'completed', 'cancelled', 'rejected'])
+    .withMessage('Invalid donation status'),
+    
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+    
+  query('to')
+    .optional()
+    .custom((value, { req }) => !req.query.from || new Date(value) >= new Date(req.query.from))
+    .withMessage('End date must be after start date'),
+    
+  handleValidationErrors
+];
+
+// Donation feedback validation
+const validateDonationFeedback = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+    
+  body(['hospitalService', 'staffBehavior', 'overallExperience'])
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Scores must be between 1 and 5'),
+    
+  body(['comment', 'thankYouMessage'])
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Feedback cannot exceed 500 characters'),
+    
+  handleValidationErrors
+];
+
+// Hospital list filters
+const validateHospitalQuery = [
+  query('district')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('District must be between 2 and 100 characters'),
+    
+  handleValidationErrors
+];
+
+// Achievement listing filters
+const validateAchievementQuery = [
+  query('category')
+    .optional()
+    .isIn(['donation', 'social', 'milestone', 'special', 'community', 'consecutive'])
+    .withMessage('Invalid achievement category'),
+    
+  query('completed')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Completed must be true or false'),
+    
+  handleValidationErrors
+];
+
+// Achievement definition fields; required ones become optional on update
+const achievementRules = (isUpdate) => {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    required('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+      
+    body(['nameLocalized.en', 'nameLocalized.bn'])
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Localized names cannot exceed 100 characters'),
+      
+    required('description')
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Description must be between 1 and 500 characters'),
+      
+    body(['descriptionLocalized.en', 'descriptionLocalized.bn'])
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Localized descriptions cannot exceed 500 characters'),
+      
+    required('category')
+      .isIn(['donation', 'social', 'milestone', 'special', 'community', 'consecutive'])
+      .withMessage('Invalid achievement category'),
+      
+    required('criteria.type')
+      .isIn(['donation_count', 'life_saved', 'consecutive_donations', 'blood_units', 'emergency_donations', 'referrals', 'rating', 'special_event'])
+      .withMessage('Invalid criteria type'),
+      
+    required('criteria.value')
+      .isInt({ min: 1 })
+      .withMessage('Criteria value must be a positive whole number'),
+      
+    body('criteria.timeframe')
+      .optional()
+      .isIn(['all_time', 'yearly', 'monthly', 'weekly'])
+      .withMessage('Timeframe must be all_time, yearly, monthly or weekly'),
+      
+    required('icon')
+      .trim()
+      .notEmpty()
+      .withMessage('Icon is required'),
+      
+    body('badge.url')
+      .optional()
+      .isURL()
+      .withMessage('Badge URL must be a valid URL'),
+      
+    body(['badge.color', 'badge.borderColor'])
+      .optional()
+      .matches(/^#[0-9a-fA-F]{6}$/)
+      .withMessage('Badge colors must be hex colors like #FFD700'),
+      
+    body('points')
+      .optional()
+      .isInt({ min: 0, max: 10000 })
+      .withMessage('Points must be between 0 and 10000'),
+      
+    body('difficulty')
+      .optional()
+      .isIn(['easy', 'medium', 'hard', 'legendary'])
+      .withMessage('Difficulty must be easy, medium, hard or legendary'),
+      
+    body('rarity')
+      .optional()
+      .isIn(['common', 'rare', 'epic', 'legendary'])
+      .withMessage('Rarity must be common, rare, epic or legendary'),
+      
+    body(['isActive', 'isSecret', 'specialConditions.emergencyOnly', 'specialConditions.firstTimeOnly'])
+      .optional()
+      .isBoolean()
+      .withMessage('Flags must be true or false'),
+      
+    body('order')
+      .optional()
+      .isInt()
+      .withMessage('Order must be a whole number'),
+      
+    body('group')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Group cannot exceed 50 characters'),
+      
+    body('prerequisites')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Prerequisites must be a list of achievement IDs'),
+      
+    body('prerequisites.*')
+      .isMongoId()
+      .withMessage('Invalid prerequisite achievement ID'),
+      
+    body('specialConditions.bloodGroups')
+      .optional()
+      .isArray()
+      .withMessage('Blood groups must be a list'),
+      
+    body('specialConditions.bloodGroups.*')
+      .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
+      .withMessage('Invalid blood group'),
+      
+    body('specialConditions.locations')
+      .optional()
+      .isArray()
+      .withMessage('Locations must be a list of districts'),
+      
+    body('specialConditions.locations.*')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('District must be between 2 and 100 characters')
+  ];
+};
+
+// Achievement creation validation
+const validateAchievement = [
+  ...achievementRules(false),
+  
+  handleValidationErrors
+];
+
+// Achievement update validation
+const validateAchievementUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid achievement ID'),
+    
+  ...achievementRules(true),
+  
+  handleValidationErrors
+];
+
+// Leaderboard filters
+const validateLeaderboardQuery = [
+  query('metric')
+    .optional()
+    .isIn(['points', 'donations', 'units', 'livesSaved'])
+    .withMessage('Metric must be points, donations, units or livesSaved'),
+    
+  query('period')
+    .optional()
+    .isIn(['all_time', 'year', 'month'])
+    .withMessage('Period must be all_time, year or month'),
+    
+  query('district')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('District must be between 2 and 100 characters'),
+    
+  query('bloodGroup')
+    .optional()
+    .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
+    .withMessage('Invalid blood group'),
+    
+  handleValidationErrors
+];
+
+// Donation export validation
+const validateDonationExport = [
+  body('format')
+    .optional()
+    .isIn(['csv', 'json', 'pdf'])
+    .withMessage('Format must be csv, json or pdf'),
+    
+  body('delivery')
+    .optional()
+    .isIn(['download', 'link'])
+    .withMessage('Delivery must be download or link'),
+    
+  body(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+    
+  body('to')
+    .optional()
+    .custom((value, { req }) => !req.body.from || new Date(value) >= new Date(req.body.from))
+    .withMessage('End date must be after start date'),
+    
+  handleValidationErrors
+];
+
+// Donation summary validation
+const validateDonationSummaryQuery = [
+  query('timeframe')
+    .optional()
+    .isIn(['all', 'thisYear', 'thisMonth', 'last30Days'])
+    .withMessage('Timeframe must be all, thisYear, thisMonth or last30Days'),
     
   handleValidationErrors
 ];
@@ -212,10 +602,21 @@ const validateDonationRecord = [
 // Message validation
 const validateMessage = [
   body('message')
+    .optional()
     .trim()
     .isLength({ min: 1, max: 1000 })
     .withMessage('Message must be between 1 and 1000 characters'),
     
+  // Text and contact messages need a body; other types fall back to a generated one
+  body('message')
+    .custom((value, { req }) => {
+      const type = req.body.messageType || (req.file ? 'attachment' : 'text');
+      if (['text', 'contact'].includes(type) && !value) {
+        throw new Error('Message is required');
+      }
+      return true;
+    }),
+    
   body('recipient')
     .isMongoId()
     .withMessage('Invalid recipient ID'),
@@ -225,6 +626,354 @@ const validateMessage = [
     .isIn(['text', 'image', 'document', 'location', 'contact', 'blood_request'])
     .withMessage('Invalid message type'),
     
+  body('relatedBloodRequest')
+    .if(body('messageType').equals('blood_request'))
+    .isMongoId()
+    .withMessage('A valid blood request ID is required to share a request'),
+    
+  body('latitude')
+    .if(body('messageType').equals('location'))
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+    
+  body('longitude')
+    .if(body('messageType').equals('location'))
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+    
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Address cannot exceed 200 characters'),
+    
+  handleValidationErrors
+];
+
+// Message receipt validation
+const validateMessageReceipts = [
+  body('status')
+    .isIn(['delivered', 'read'])
+    .withMessage('Status must be delivered or read'),
+    
+  body('messageIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Provide between 1 and 100 message IDs'),
+    
+  body('messageIds.*')
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+    
+  handleValidationErrors
+];
+
+// Message search validation
+const validateMessageSearch = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search query must be between 2 and 100 characters'),
+    
+  handleValidationErrors
+];
+
+// Conversation ID validation (two user IDs joined by an underscore)
+const validateConversationId = [
+  param('conversationId')
+    .matches(/^[a-f\d]{24}_[a-f\d]{24}$/i)
+    .withMessage('Invalid conversation ID'),
+    
+  handleValidationErrors
+];
+
+// Call initiation validation
+const validateCallInitiation = [
+  body('requestId')
+    .isMongoId()
+    .withMessage('Invalid blood request ID'),
+    
+  body('donorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid donor ID'),
+    
+  handleValidationErrors
+];
+
+// Call history filters
+const validateCallHistoryQuery = [
+  query('requestId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid blood request ID'),
+    
+  handleValidationErrors
+];
+
+// Hospital staff assignment validation
+const validateHospitalStaffAssignment = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+    
+  body('hospitalName')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Hospital name must be between 2 and 200 characters'),
+    
+  body('district')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('District cannot exceed 100 characters'),
+    
+  handleValidationErrors
+];
+
+// Hospital donation queue filters
+const validateHospitalDonationQuery = [
+  query('verified')
+    .optional()
+    .isBoolean()
+    .withMessage('Verified must be true or false')
+    .toBoolean(),
+    
+  handleValidationErrors
+];
+
+// Donation verification validation
+const validateDonationVerification = [
+  param('donationId')
+    .isMongoId()
+    .withMessage('Invalid donation ID'),
+    
+  body('postDonationVitals.bloodPressure.systolic')
+    .optional()
+    .isInt({ min: 50, max: 250 })
+    .withMessage('Systolic blood pressure must be between 50 and 250 mmHg'),
+    
+  body('postDonationVitals.bloodPressure.diastolic')
+    .optional()
+    .isInt({ min: 30, max: 150 })
+    .withMessage('Diastolic blood pressure must be between 30 and 150 mmHg'),
+    
+  body('postDonationVitals.pulse')
+    .optional()
+    .isInt({ min: 20, max: 250 })
+    .withMessage('Pulse must be between 20 and 250 bpm'),
+    
+  body('postDonationVitals.condition')
+    .optional()
+    .isIn(['excellent', 'good', 'fair', 'needs_monitoring'])
+    .withMessage('Invalid post-donation condition'),
+    
+  body('testResults.hbLevel')
+    .optional()
+    .isFloat({ min: 3, max: 25 })
+    .withMessage('Hemoglobin level must be between 3 and 25 g/dL'),
+    
+  body('testResults.bloodType')
+    .optional()
+    .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
+    .withMessage('Please select a valid blood group'),
+    
+  body('testResults.infections')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Infections must be a list of at most 20 tests'),
+    
+  body('testResults.infections.*.test')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each infection test needs a name of at most 100 characters'),
+    
+  body('testResults.infections.*.result')
+    .isIn(['negative', 'positive', 'inconclusive'])
+    .withMessage('Test result must be negative, positive or inconclusive'),
+    
+  body('testResults.testDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .custom(value => value <= new Date())
+    .withMessage('Test date cannot be in the future'),
+    
+  body('testResults.testedBy')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Tester name cannot exceed 100 characters'),
+    
+  body('adverseReactions.occurred')
+    .optional()
+    .isBoolean()
+    .withMessage('Adverse reaction occurred must be true or false'),
+    
+  body('adverseReactions.severity')
+    .if(body('adverseReactions.occurred').equals('true'))
+    .isIn(['mild', 'moderate', 'severe'])
+    .withMessage('Severity must be mild, moderate or severe'),
+    
+  body(['adverseReactions.description', 'adverseReactions.treatmentGiven'])
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reaction details cannot exceed 1000 characters'),
+    
+  body(['medicalStaff.doctorName', 'medicalStaff.nurseName', 'medicalStaff.staffId'])
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Medical staff details cannot exceed 100 characters'),
+    
+  body('followUpDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .custom(value => value > new Date())
+    .withMessage('Follow-up date must be in the future'),
+    
+  body('followUpNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Follow-up notes cannot exceed 1000 characters'),
+    
+  handleValidationErrors
+];
+
+// Donation follow-up validation
+const validateFollowUpReport = [
+  body('feeling')
+    .isIn(['great', 'good', 'tired', 'unwell'])
+    .withMessage('Feeling must be great, good, tired or unwell'),
+    
+  body('symptoms')
+    .optional()
+    .isArray({ max: 8 })
+    .withMessage('Symptoms must be a list'),
+    
+  body('symptoms.*')
+    .isIn(['dizziness', 'fainting', 'bruising', 'arm_pain', 'nausea', 'fatigue', 'bleeding', 'other'])
+    .withMessage('Invalid symptom'),
+    
+  body('severity')
+    .optional()
+    .isIn(['mild', 'moderate', 'severe'])
+    .withMessage('Severity must be mild, moderate or severe'),
+    
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+    
+  handleValidationErrors
+];
+
+// Adverse reaction report filters
+const validateReactionReportQuery = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+    
+  query('to')
+    .optional()
+    .custom((value, { req }) => !req.query.from || new Date(value) >= new Date(req.query.from))
+    .withMessage('End date must be after start date'),
+    
+  query('district')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('District must be between 2 and 100 characters'),
+    
+  handleValidationErrors
+];
+
+// Certificate verification validation
+const validateCertificateVerification = [
+  param('certificateId')
+    .matches(/^CERT-[A-F0-9]{12}$/)
+    .withMessage('Invalid certificate ID'),
+    
+  query('signature')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid certificate signature'),
+    
+  handleValidationErrors
+];
+
+// Message report validation
+const validateMessageReport = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+    
+  body('reason')
+    .isIn(['spam', 'harassment', 'phone_harvesting', 'payment_solicitation', 'inappropriate', 'other'])
+    .withMessage('Invalid report reason'),
+    
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Report details cannot exceed 500 characters'),
+    
+  handleValidationErrors
+];
+
+// Message attachment download validation
+const validateAttachmentDownload = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+    
+  param('attachmentId')
+    .isMongoId()
+    .withMessage('Invalid attachment ID'),
+    
+  handleValidationErrors
+];
+
+// Moderation queue filters
+const validateModerationQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'reviewed', 'dismissed'])
+    .withMessage('Invalid moderation status'),
+    
+  query('source')
+    .optional()
+    .isIn(['user_report', 'auto_filter'])
+    .withMessage('Source must be user_report or auto_filter'),
+    
+  query('reason')
+    .optional()
+    .isIn(['spam', 'harassment', 'phone_harvesting', 'payment_solicitation', 'inappropriate', 'other'])
+    .withMessage('Invalid flag reason'),
+    
+  handleValidationErrors
+];
+
+// Moderation action validation
+const validateModerationAction = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID'),
+    
+  body('action')
+    .isIn(['hide', 'warn', 'suspend', 'dismiss'])
+    .withMessage('Action must be hide, warn, suspend or dismiss'),
+    
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+    
   handleValidationErrors
 ];
 
@@ -255,6 +1004,93 @@ const validateNotification = [
   handleValidationErrors
 ];
 
+// Notification list filter validation
+const validateNotificationQuery = [
+  query('type')
+    .optional()
+    .isIn(Notification.schema.path('type').enumValues)
+    .withMessage('Invalid notification type'),
+    
+  query('category')
+    .optional()
+    .isIn(['urgent', 'important', 'info', 'promotional'])
+    .withMessage('Invalid notification category'),
+    
+  query('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Invalid priority level'),
+    
+  query('isRead')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isRead must be true or false'),
+    
+  handleValidationErrors
+];
+
+// Mark notifications read validation
+const validateMarkRead = [
+  body('markAll')
+    .optional()
+    .isBoolean()
+    .withMessage('markAll must be true or false')
+    .toBoolean(),
+    
+  body('notificationIds')
+    .if(body('markAll').not().equals('true'))
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Provide between 1 and 100 notification IDs or set markAll'),
+    
+  body('notificationIds.*')
+    .isMongoId()
+    .withMessage('Invalid notification ID'),
+    
+  handleValidationErrors
+];
+
+// Bulk notification action validation
+const validateNotificationBulkAction = [
+  body('action')
+    .isIn(['read', 'archive', 'delete', 'dismiss'])
+    .withMessage('Action must be read, archive, delete or dismiss'),
+    
+  body('notificationIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Provide between 1 and 100 notification IDs'),
+    
+  body('notificationIds.*')
+    .isMongoId()
+    .withMessage('Invalid notification ID'),
+    
+  handleValidationErrors
+];
+
+// Notification interaction validation
+const validateNotificationInteraction = [
+  body('type')
+    .isIn(['click', 'dismiss', 'share'])
+    .withMessage('Interaction type must be click, dismiss or share'),
+    
+  handleValidationErrors
+];
+
+// Notification reschedule validation
+const validateNotificationSchedule = [
+  body('scheduledFor')
+    .isISO8601()
+    .toDate()
+    .withMessage('Please provide a valid schedule date')
+    .custom((value) => {
+      if (value <= Date.now()) {
+        throw new Error('Scheduled time must be in the future');
+      }
+      return true;
+    }),
+    
+  handleValidationErrors
+];
+
 // Profile update validation
 const validateProfileUpdate = [
   body('name')
@@ -279,6 +1115,17 @@ const validateProfileUpdate = [
     .notEmpty()
     .withMessage('District cannot be empty'),
     
+  body(['location.upazila', 'location.address'])
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Upazila and address cannot exceed 200 characters'),
+    
+  body('language')
+    .optional()
+    .isIn(['bn', 'en'])
+    .withMessage('Language must be bn or en'),
+    
   handleValidationErrors
 ];
 
@@ -314,6 +1161,21 @@ const validateMongoId = (paramName = 'id') => [
   handleValidationErrors
 ];
 
+// Privacy settings validation
+const validatePrivacySettings = [
+  body()
+    .custom(value => ['showPhone', 'showEmail', 'showLastDonation', 'showOnLeaderboard'].some(field => value[field] !== undefined))
+    .withMessage('Provide at least one of showPhone, showEmail, showLastDonation or showOnLeaderboard'),
+    
+  body(['showPhone', 'showEmail', 'showLastDonation', 'showOnLeaderboard'])
+    .optional()
+    .isBoolean()
+    .withMessage('Privacy settings must be true or false')
+    .toBoolean(),
+    
+  handleValidationErrors
+];
+
 // Query parameter validation for pagination
 const validatePagination = [
   query('page')
@@ -351,18 +1213,60 @@ const validateSearchQuery = [
   handleValidationErrors
 ];
 
-// Coordinates validation
+// Compatible donor search validation
+const validateCompatibleDonorQuery = [
+  query('requestId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid requestId'),
+    
+  query('bloodGroup')
+    .optional()
+    .isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'])
+    .withMessage('Invalid blood group'),
+    
+  query('donationType')
+    .optional()
+    .isIn(['whole_blood', 'plasma', 'platelets', 'double_red_cells'])
+    .withMessage('Invalid donation type'),
+    
+  // Either a request or a blood group must be provided
+  query().custom((value, { req }) => {
+    if (!req.query.requestId && !req.query.bloodGroup) {
+      throw new Error('Either requestId or bloodGroup is required');
+    }
+    return true;
+  }),
+    
+  handleValidationErrors
+];
+
+// Coordinates validation (body or query string)
 const validateCoordinates = [
-  body('latitude')
+  check('latitude')
     .optional()
     .isFloat({ min: -90, max: 90 })
     .withMessage('Latitude must be between -90 and 90'),
     
-  body('longitude')
+  check('longitude')
     .optional()
     .isFloat({ min: -180, max: 180 })
     .withMessage('Longitude must be between -180 and 180'),
     
+  check('radius')
+    .optional()
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage('Radius must be between 0.1 and 100 km'),
+    
+  // Latitude and longitude must be given together
+  check('latitude').custom((value, { req }) => {
+    const source = { ...req.body, ...req.query };
+    if ((source.latitude === undefined) !== (source.longitude === undefined)) {
+      throw new Error('Latitude and longitude must be provided together');
+    }
+    return true;
+  }),
+    
   handleValidationErrors
 ];
 
@@ -404,14 +1308,48 @@ module.exports = {
   validateUserRegistration,
   validateUserLogin,
   validateBloodRequest,
+  validateRequestResponse,
+  validateResponseStatus,
+  validateResponseCompletion,
   validateDonationRecord,
+  validateDonationHistoryQuery,
+  validateDonationSummaryQuery,
+  validateDonationExport,
+  validateDonationFeedback,
+  validateHospitalQuery,
+  validateAchievementQuery,
+  validateAchievement,
+  validateAchievementUpdate,
+  validateLeaderboardQuery,
   validateMessage,
+  validateMessageReceipts,
+  validateMessageSearch,
+  validateConversationId,
+  validateMessageReport,
+  validateAttachmentDownload,
+  validateCallInitiation,
+  validateCallHistoryQuery,
+  validateFollowUpReport,
+  validateReactionReportQuery,
+  validateCertificateVerification,
+  validateHospitalStaffAssignment,
+  validateHospitalDonationQuery,
+  validateDonationVerification,
+  validateModerationQuery,
+  validateModerationAction,
   validateNotification,
+  validateNotificationQuery,
+  validateMarkRead,
+  validateNotificationBulkAction,
+  validateNotificationInteraction,
+  validateNotificationSchedule,
   validateProfileUpdate,
   validatePasswordChange,
+  validatePrivacySettings,
   validateMongoId,
   validatePagination,
   validateSearchQuery,
+  validateCompatibleDonorQuery,
   validateCoordinates,
   validateFileUpload
 };
\ No newline at end of file
@@ -216,179 +216,15 @@ achievementSchema.virtual('localizedDescription').get(function() {
   return this.descriptionLocalized?.bn || this.description;
 });
 
-// Static method to check and unlock achievements for user
-achievementSchema.statics.checkAndUnlockAchievements = async function(userId, triggerType = null, triggerData = {}) {
-  const User = mongoose.model('User');
-  const Donation = mongoose.model('Donation');
-  const UserAchievement = mongoose.model('UserAchievement');
-  
-  const user = await User.findById(userId);
-  if (!user) return [];
-  
-  // Get user's current achievements
-  const userAchievements = await UserAchievement.find({
-    user: userId,
-    isCompleted: true
-  }).populate('achievement');
-  
-  const completedAchievementIds = userAchievements.map(ua => ua.achievement._id.toString());
-  
-  // Get all active achievements not yet completed
-  const availableAchievements = await this.find({
-    _id: { $nin: completedAchievementIds },
-    isActive: true
-  });
-  
-  const newlyUnlocked = [];
-  
-  for (const achievement of availableAchievements) {
-    // Check prerequisites
-    const prerequisitesMet = achievement.prerequisites.length === 0 || 
-      achievement.prerequisites.every(prereqId => 
-        completedAchievementIds.includes(prereqId.toString())
-      );
-    
-    if (!prerequisitesMet) continue;
-    
-    // Calculate current progress based on criteria
-    let currentProgress = 0;
-    
-    switch (achievement.criteria.type) {
-      case 'donation_count':
-        currentProgress = user.totalDonations || 0;
-        break;
-        
-      case 'life_saved':
-        currentProgress = user.lifeSaved || 0;
-        break;
-        
-      case 'blood_units':
-        const donations = await Donation.find({ donor: userId, status: 'completed' });
-        currentProgress = donations.reduce((sum, d) => sum + d.unitsdonated, 0);
-        break;
-        
-      case 'emergency_donations':
-        const emergencyDonations = await Donation.find({ 
-          donor: userId, 
-          status: 'completed',
-          isEmergencyDonation: true
-        });
-        currentProgress = emergencyDonations.length;
-        break;
-        
-      case 'consecutive_donations':
-        // Complex logic for consecutive donations
-        const recentDonations = await Donation.find({
-          donor: userId,
-          status: 'completed'
-        }).sort({ donationDate: -1 }).limit(10);
-        
-        let consecutive = 0;
-        for (let i = 0; i < recentDonations.length - 1; i++) {
-          const current = recentDonations[i].donationDate;
-          const next = recentDonations[i + 1].donationDate;
-          const diffMonths = (current.getFullYear() - next.getFullYear()) * 12 + 
-                           (current.getMonth() - next.getMonth());
-          
-          if (diffMonths >= 4 && diffMonths <= 6) { // 4-6 months gap is ideal
-            consecutive++;
-          } else {
-            break;
-          }
-        }
-        currentProgress = consecutive;
-        break;
-        
-      case 'rating':
-        currentProgress = Math.floor(user.rating || 0);
-        break;
-    }
-    
-    // Check if achievement should be unlocked
-    if (currentProgress >= achievement.criteria.value) {
-      // Check special conditions
-      let meetsSpecialConditions = true;
-      
-      if (achievement.specialConditions.bloodGroups.length > 0) {
-        meetsSpecialConditions = achievement.specialConditions.bloodGroups.includes(user.bloodGroup);
-      }
-      
-      if (achievement.specialConditions.emergencyOnly && triggerType !== 'emergency_donation') {
-        meetsSpecialConditions = false;
-      }
-      
-      if (meetsSpecialConditions) {
-        // Create or update user achievement
-        let userAchievement = await UserAchievement.findOne({
-          user: userId,
-          achievement: achievement._id
-        });
-        
-        if (!userAchievement) {
-          userAchievement = new UserAchievement({
-            user: userId,
-            achievement: achievement._id,
-            progress: {
-              current: currentProgress,
-              required: achievement.criteria.value,
-              percentage: 100
-            },
-            isCompleted: true,
-            completedAt: new Date(),
-            pointsEarned: achievement.points,
-            unlockedBy: triggerData
-          });
-        } else {
-          userAchievement.progress.current = currentProgress;
-          userAchievement.progress.percentage = 100;
-          userAchievement.isCompleted = true;
-          userAchievement.completedAt = new Date();
-          userAchievement.pointsEarned = achievement.points;
-        }
-        
-        await userAchievement.save();
-        
-        // Update achievement statistics
-        await this.findByIdAndUpdate(achievement._id, {
-          $inc: { totalUnlocked: 1 }
-        });
-        
-        // Update user points
-        await User.findByIdAndUpdate(userId, {
-          $inc: { totalPoints: achievement.points }
-        });
-        
-        newlyUnlocked.push({
-          achievement,
-          userAchievement,
-          pointsEarned: achievement.points
-        });
-      }
-    } else {
-      // Update progress for incomplete achievements
-      const progressPercentage = Math.floor((currentProgress / achievement.criteria.value) * 100);
-      
-      await UserAchievement.findOneAndUpdate(
-        { user: userId, achievement: achievement._id },
-        {
-          user: userId,
-          achievement: achievement._id,
-          progress: {
-            current: currentProgress,
-            required: achievement.criteria.value,
-            percentage: progressPercentage
-          },
-          lastProgressAt: new Date(),
-          $setOnInsert: {
-            firstProgressAt: new Date()
-          }
-        },
-        { upsert: true, new: true }
-      );
-    }
-  }
-  
-  return newlyUnlocked;
+// Static method to check and unlock achievements for user. Kept for existing
+// callers; the work is done by checkAchievements in utils/achievements, and
+// trigger types it does not know check every achievement.
+achievementSchema.statics.checkAndUnlockAchievements = function(userId, triggerType = null, triggerData = {}) {
+  // Loaded here because utils/achievements requires this model
+  const { EVENT_CRITERIA, checkAchievements } = require('../utils/achievements');
+  const event = EVENT_CRITERIA[triggerType] ? triggerType : null;
+
+  return checkAchievements(userId, event, triggerData);
 };
 
 // Static method to get user's achievements with progress
@@ -404,7 +240,7 @@ achievementSchema.statics.getUserAchievements = function(userId, options = {}) {
     .populate({
       path: 'achievement',
       match: category ? { category, isActive: true } : { isActive: true },
-      select: 'name nameLocalized description descriptionLocalized category icon badge points difficulty rarity'
+      select: 'name nameLocalized description descriptionLocalized category icon badge points difficulty rarity isSecret'
     })
     .sort({ completedAt: -1, 'progress.percentage': -1 })
     .limit(limit);
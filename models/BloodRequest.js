@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { pointSchema, setGeoPoint } = require('../utils/geo');
+const { getCompatibleRecipients } = require('../utils/compatibility');
 
 const bloodRequestSchema = new mongoose.Schema({
   // Request Details
@@ -47,6 +49,11 @@ const bloodRequestSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  donationType: {
+    type: String,
+    enum: ['whole_blood', 'plasma', 'platelets', 'double_red_cells'],
+    default: 'whole_blood'
+  },
   
   // Medical Information
   urgencyLevel: {
@@ -74,8 +81,8 @@ const bloodRequestSchema = new mongoose.Schema({
       required: [true, 'Hospital address is required']
     },
     coordinates: {
-      latitude: Number,
-      longitude: Number
+      type: pointSchema,
+      set: setGeoPoint
     }
   },
   
@@ -108,6 +115,8 @@ const bloodRequestSchema = new mongoose.Schema({
     required: [true, 'Needed by date is required'],
     validate: {
       validator: function(value) {
+        // Only enforce on new or changed dates so past requests can still be updated
+        if (!this.isNew && !this.isModified('neededBy')) return true;
         return value > Date.now();
       },
       message: 'Needed by date must be in the future'
@@ -155,9 +164,28 @@ const bloodRequestSchema = new mongoose.Schema({
       type: Number,
       min: 1,
       default: 1
-    }
+    },
+    callAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastCallAt: Date
   }],
   
+  // Donor Alerting
+  alerts: {
+    radius: Number, // km, widened in steps while too few donors respond
+    round: {
+      type: Number,
+      default: 0
+    },
+    donorsNotified: {
+      type: Number,
+      default: 0
+    },
+    lastSentAt: Date
+  },
+  
   // Additional Information
   attachments: [{
     type: String, // URLs to medical documents
@@ -173,6 +201,10 @@ const bloodRequestSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  callCount: {
+    type: Number,
+    default: 0
+  },
   
   // Administrative
   adminNotes: String,
@@ -227,6 +259,9 @@ bloodRequestSchema.pre('save', function(next) {
 
 // Pre-save middleware to update status based on fulfillment
 bloodRequestSchema.pre('save', function(next) {
+  // Closed requests keep their status
+  if (['cancelled', 'expired'].includes(this.status)) return next();
+
   if (this.unitsFulfilled >= this.unitsNeeded) {
     this.status = 'fulfilled';
   } else if (this.unitsFulfilled > 0) {
@@ -276,21 +311,16 @@ bloodRequestSchema.methods.canUserRespond = function(userId) {
 
 // Static method to find compatible requests for a donor
 bloodRequestSchema.statics.findCompatibleRequests = function(donorBloodGroup, location, limit = 10) {
-  const compatibilityMap = {
-    'O-': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'],
-    'O+': ['O+', 'A+', 'B+', 'AB+'],
-    'A-': ['A-', 'A+', 'AB-', 'AB+'],
-    'A+': ['A+', 'AB+'],
-    'B-': ['B-', 'B+', 'AB-', 'AB+'],
-    'B+': ['B+', 'AB+'],
-    'AB-': ['AB-', 'AB+'],
-    'AB+': ['AB+']
-  };
+  const donationTypes = ['whole_blood', 'plasma', 'platelets', 'double_red_cells'];
 
-  const compatibleGroups = compatibilityMap[donorBloodGroup] || [];
+  // Each donation type has its own compatibility rules
+  const compatibility = donationTypes.map(donationType => ({
+    donationType: donationType === 'whole_blood' ? { $in: [donationType, null] } : donationType,
+    bloodGroup: { $in: getCompatibleRecipients(donorBloodGroup, donationType) }
+  }));
   
   return this.find({
-    bloodGroup: { $in: compatibleGroups },
+    $or: compatibility,
     status: { $in: ['active', 'partial'] },
     neededBy: { $gt: Date.now() },
     'location.district': location.district
@@ -306,6 +336,6 @@ bloodRequestSchema.index({ 'location.district': 1, bloodGroup: 1 });
 bloodRequestSchema.index({ urgencyLevel: 1, isEmergency: 1 });
 bloodRequestSchema.index({ requestedBy: 1 });
 bloodRequestSchema.index({ status: 1, createdAt: -1 });
-bloodRequestSchema.index({ 'location.coordinates.latitude': 1, 'location.coordinates.longitude': 1 });
+bloodRequestSchema.index({ 'location.coordinates': '2dsphere' });
 
 module.exports = mongoose.model('BloodRequest', bloodRequestSchema);
\ No newline at end of file
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const callSessionSchema = new mongoose.Schema({
+  // Participants
+  caller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Caller is required']
+  },
+  callee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Callee is required']
+  },
+  bloodRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BloodRequest',
+    required: [true, 'Blood request is required']
+  },
+  direction: {
+    type: String,
+    enum: ['requester_to_donor', 'donor_to_requester'],
+    required: true
+  },
+
+  // Bridge
+  provider: String,
+  providerSessionId: {
+    type: String,
+    index: true
+  },
+  bridgeType: {
+    type: String,
+    enum: ['relay_number', 'token']
+  },
+  relayNumber: String,
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Call Progress
+  status: {
+    type: String,
+    enum: ['initiated', 'ringing', 'in_progress', 'completed', 'missed', 'failed'],
+    default: 'initiated'
+  },
+  answeredAt: Date,
+  endedAt: Date,
+  duration: {
+    type: Number, // seconds
+    min: 0
+  },
+  failureReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the relay number or token can still be used
+callSessionSchema.virtual('isActive').get(function() {
+  return ['initiated', 'ringing', 'in_progress'].includes(this.status) && this.expiresAt > Date.now();
+});
+
+// Static method to count calls from one user to another since a date,
+// optionally only those created up to and including the call `upToId`
+callSessionSchema.statics.countCallsSince = function(callerId, calleeId, since, upToId = null) {
+  const query = {
+    caller: callerId,
+    callee: calleeId,
+    createdAt: { $gte: since }
+  };
+  if (upToId) query._id = { $lte: upToId };
+
+  return this.countDocuments(query);
+};
+
+// Create indexes
+callSessionSchema.index({ caller: 1, callee: 1, createdAt: -1 });
+callSessionSchema.index({ callee: 1, createdAt: -1 });
+callSessionSchema.index({ bloodRequest: 1 });
+
+module.exports = mongoose.model('CallSession', callSessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getNextEligibleDate } = require('../utils/eligibility');
 
 const donationSchema = new mongoose.Schema({
   // Donor Information
@@ -102,6 +103,11 @@ const donationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verifiedAt: Date,
   verificationDocuments: [{
     type: String, // URLs to verification documents
     description: String
@@ -123,7 +129,12 @@ const donationSchema = new mongoose.Schema({
       type: String,
       enum: ['mild', 'moderate', 'severe']
     },
-    treatmentGiven: String
+    treatmentGiven: String,
+    reportedBy: {
+      type: String,
+      enum: ['donor', 'staff']
+    },
+    escalatedAt: Date
   },
   
   // Follow-up Information
@@ -133,6 +144,29 @@ const donationSchema = new mongoose.Schema({
   },
   followUpDate: Date,
   followUpNotes: String,
+  followUpReminders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  }],
+  followUpReports: [{
+    feeling: {
+      type: String,
+      enum: ['great', 'good', 'tired', 'unwell']
+    },
+    symptoms: [{
+      type: String,
+      enum: ['dizziness', 'fainting', 'bruising', 'arm_pain', 'nausea', 'fatigue', 'bleeding', 'other']
+    }],
+    severity: {
+      type: String,
+      enum: ['mild', 'moderate', 'severe']
+    },
+    notes: String,
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Next Donation Eligibility
   nextEligibleDate: {
@@ -162,7 +196,8 @@ const donationSchema = new mongoose.Schema({
       type: Number,
       min: 1,
       max: 5
-    }
+    },
+    submittedAt: Date
   },
   
   recipientFeedback: {
@@ -172,7 +207,8 @@ const donationSchema = new mongoose.Schema({
       max: 5
     },
     comment: String,
-    thankYouMessage: String
+    thankYouMessage: String,
+    submittedAt: Date
   },
   
   // Administrative
@@ -264,36 +300,18 @@ donationSchema.virtual('daysUntilNextEligible').get(function() {
   return Math.max(0, days);
 });
 
-// Pre-save middleware to calculate next eligible date
-donationSchema.pre('save', function(next) {
-  if (this.isNew || this.isModified('donationDate')) {
-    const nextDate = new Date(this.donationDate);
-    
+// Pre-validate middleware to calculate next eligible date
+// (runs before validation so the required field is populated)
+donationSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('donationDate') || this.isModified('donationType')) {
     // Different intervals based on donation type
-    switch (this.donationType) {
-      case 'whole_blood':
-        nextDate.setDate(nextDate.getDate() + 120); // 4 months
-        break;
-      case 'plasma':
-        nextDate.setDate(nextDate.getDate() + 28); // 4 weeks
-        break;
-      case 'platelets':
-        nextDate.setDate(nextDate.getDate() + 7); // 1 week
-        break;
-      case 'double_red_cells':
-        nextDate.setDate(nextDate.getDate() + 168); // 24 weeks
-        break;
-      default:
-        nextDate.setDate(nextDate.getDate() + 120);
-    }
-    
-    this.nextEligibleDate = nextDate;
+    this.nextEligibleDate = getNextEligibleDate(this.donationDate, this.donationType);
   }
   next();
 });
 
-// Pre-save middleware to generate donation ID
-donationSchema.pre('save', function(next) {
+// Pre-validate middleware to generate donation ID
+donationSchema.pre('validate', function(next) {
   if (this.isNew && !this.donationId) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substr(2, 5);
@@ -315,22 +333,23 @@ donationSchema.methods.calculatePoints = function() {
   // Bonus for feedback
   if (this.donorFeedback && this.donorFeedback.rating) points += 5;
   
-  // Bonus for verification documents
-  if (this.verificationDocuments && this.verificationDocuments.length > 0) points += 5;
+  // Bonus for donations confirmed by hospital staff or backed by documents
+  if (this.isVerified || (this.verificationDocuments && this.verificationDocuments.length > 0)) points += 5;
   
   this.pointsEarned = points;
   return points;
 };
 
-// Static method to get donation statistics
-donationSchema.statics.getDonationStats = function(userId, timeframe = 'all') {
-  const match = { donor: mongoose.Types.ObjectId(userId), status: 'completed' };
+// Completed donations of a user within a timeframe (all, thisYear, thisMonth, last30Days)
+const buildStatsMatch = (userId, timeframe) => {
+  const match = { donor: new mongoose.Types.ObjectId(userId), status: 'completed' };
   
   if (timeframe !== 'all') {
     const date = new Date();
+    date.setHours(0, 0, 0, 0);
     switch (timeframe) {
       case 'thisYear':
-        date.setFullYear(date.getFullYear(), 0, 1);
+        date.setMonth(0, 1);
         break;
       case 'thisMonth':
         date.setDate(1);
@@ -342,8 +361,13 @@ donationSchema.statics.getDonationStats = function(userId, timeframe = 'all') {
     match.donationDate = { $gte: date };
   }
   
+  return match;
+};
+
+// Static method to get donation statistics
+donationSchema.statics.getDonationStats = function(userId, timeframe = 'all') {
   return this.aggregate([
-    { $match: match },
+    { $match: buildStatsMatch(userId, timeframe) },
     {
       $group: {
         _id: null,
@@ -359,6 +383,23 @@ donationSchema.statics.getDonationStats = function(userId, timeframe = 'all') {
   ]);
 };
 
+// Static method to get donation statistics per donation type
+donationSchema.statics.getDonationTypeStats = function(userId, timeframe = 'all') {
+  return this.aggregate([
+    { $match: buildStatsMatch(userId, timeframe) },
+    {
+      $group: {
+        _id: '$donationType',
+        totalDonations: { $sum: 1 },
+        totalUnits: { $sum: '$unitsdonated' },
+        totalPoints: { $sum: '$pointsEarned' },
+        lastDonationDate: { $max: '$donationDate' }
+      }
+    },
+    { $sort: { totalDonations: -1 } }
+  ]);
+};
+
 // Create indexes
 donationSchema.index({ donor: 1, donationDate: -1 });
 donationSchema.index({ bloodRequest: 1 });
@@ -367,5 +408,6 @@ donationSchema.index({ bloodGroup: 1, donationDate: -1 });
 donationSchema.index({ status: 1 });
 donationSchema.index({ isEmergencyDonation: 1 });
 donationSchema.index({ nextEligibleDate: 1 });
+donationSchema.index({ 'hospital.name': 1, isVerified: 1, donationDate: -1 });
 
 module.exports = mongoose.model('Donation', donationSchema);
\ No newline at end of file
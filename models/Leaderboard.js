@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const LEADERBOARD_METRICS = ['points', 'donations', 'units', 'livesSaved'];
+const LEADERBOARD_PERIODS = ['all_time', 'year', 'month'];
+
+// A precomputed leaderboard run; entries are only read once it is ready
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['building', 'ready', 'failed'],
+    default: 'building'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  // Start of the year and month the snapshot covers
+  periodStarts: {
+    year: Date,
+    month: Date
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One user's totals for one period of a snapshot
+const leaderboardEntrySchema = new mongoose.Schema({
+  snapshot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaderboardSnapshot',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: LEADERBOARD_PERIODS,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Public details copied from the user when the snapshot was taken
+  name: String,
+  avatar: {
+    public_id: String,
+    url: String
+  },
+  district: String,
+  bloodGroup: String,
+
+  // Metrics
+  points: {
+    type: Number,
+    default: 0
+  },
+  donations: {
+    type: Number,
+    default: 0
+  },
+  units: {
+    type: Number,
+    default: 0
+  },
+  livesSaved: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Create indexes
+leaderboardSnapshotSchema.index({ status: 1, completedAt: -1 });
+
+LEADERBOARD_METRICS.forEach(metric => {
+  leaderboardEntrySchema.index({ snapshot: 1, period: 1, [metric]: -1 });
+});
+leaderboardEntrySchema.index({ snapshot: 1, period: 1, district: 1, bloodGroup: 1 });
+leaderboardEntrySchema.index({ snapshot: 1, user: 1 });
+
+const LeaderboardSnapshot = mongoose.model('LeaderboardSnapshot', leaderboardSnapshotSchema);
+const LeaderboardEntry = mongoose.model('LeaderboardEntry', leaderboardEntrySchema);
+
+module.exports = {
+  LEADERBOARD_METRICS,
+  LEADERBOARD_PERIODS,
+  LeaderboardSnapshot,
+  LeaderboardEntry
+};
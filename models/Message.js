@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { pointSchema, setGeoPoint } = require('../utils/geo');
 
 const messageSchema = new mongoose.Schema({
   // Conversation Information
@@ -44,9 +45,31 @@ const messageSchema = new mongoose.Schema({
     url: String,
     filename: String,
     size: Number,
-    mimeType: String
+    mimeType: String,
+    // Stored copies; clients download attachments through the message instead
+    localFile: {
+      type: String,
+      select: false
+    },
+    cloudinaryUrl: {
+      type: String,
+      select: false
+    }
   }],
   
+  // Shared Location (location messages)
+  location: {
+    coordinates: {
+      type: pointSchema,
+      set: setGeoPoint
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Address cannot exceed 200 characters']
+    }
+  },
+  
   // Related Blood Request (if applicable)
   relatedBloodRequest: {
     type: mongoose.Schema.Types.ObjectId,
@@ -67,11 +90,8 @@ const messageSchema = new mongoose.Schema({
   },
   readAt: Date,
   
-  // Delivery Status
-  deliveredAt: {
-    type: Date,
-    default: Date.now
-  },
+  // Delivery Status (set when the recipient's device acknowledges the message)
+  deliveredAt: Date,
   
   // System Message Information
   isSystemMessage: {
@@ -103,6 +123,43 @@ const messageSchema = new mongoose.Schema({
     default: false
   },
   flaggedReason: String,
+  flagSource: {
+    type: String,
+    enum: ['user_report', 'auto_filter']
+  },
+  reports: [{
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: ['spam', 'harassment', 'phone_harvesting', 'payment_solicitation', 'inappropriate', 'other'],
+      required: true
+    },
+    details: {
+      type: String,
+      maxlength: [500, 'Report details cannot exceed 500 characters']
+    },
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  moderationStatus: {
+    type: String,
+    enum: ['pending', 'reviewed', 'dismissed']
+  },
+  moderationAction: {
+    type: String,
+    enum: ['hide', 'warn', 'suspend', 'dismiss']
+  },
+  moderationNote: String,
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
   moderatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -120,6 +177,10 @@ const messageSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Blood request fields shown in shared request previews
+const REQUEST_PREVIEW_FIELDS = 'title patientName bloodGroup donationType unitsNeeded unitsFulfilled ' +
+  'hospitalName location.district urgencyLevel isEmergency neededBy status';
+
 // Virtual for time since message
 messageSchema.virtual('timeAgo').get(function() {
   const diff = Date.now() - this.createdAt.getTime();
@@ -134,8 +195,8 @@ messageSchema.virtual('timeAgo').get(function() {
   return this.createdAt.toLocaleDateString();
 });
 
-// Pre-save middleware to generate conversation ID
-messageSchema.pre('save', function(next) {
+// Pre-validate middleware to generate conversation ID (it is required, so it must exist before validation)
+messageSchema.pre('validate', function(next) {
   if (this.isNew && !this.conversationId) {
     // Create consistent conversation ID from sender and recipient
     const participants = [this.sender.toString(), this.recipient.toString()].sort();
@@ -163,16 +224,29 @@ messageSchema.methods.markAsRead = function() {
   return Promise.resolve(this);
 };
 
+// Static method to build the conversation ID shared by two users
+messageSchema.statics.getConversationId = function(userId1, userId2) {
+  return [userId1.toString(), userId2.toString()].sort().join('_');
+};
+
+// Static method to populate a message the way conversations display it
+messageSchema.statics.populateForDisplay = function(message) {
+  return message.populate([
+    { path: 'sender', select: 'name avatar' },
+    { path: 'recipient', select: 'name avatar' },
+    { path: 'relatedBloodRequest', select: REQUEST_PREVIEW_FIELDS }
+  ]);
+};
+
 // Static method to get conversation between two users
 messageSchema.statics.getConversation = function(userId1, userId2, options = {}) {
   const { limit = 50, skip = 0 } = options;
-  const participants = [userId1.toString(), userId2.toString()].sort();
-  const conversationId = participants.join('_');
+  const conversationId = this.getConversationId(userId1, userId2);
   
-  return this.find({ conversationId })
+  return this.find({ conversationId, isHidden: { $ne: true } })
     .populate('sender', 'name avatar')
     .populate('recipient', 'name avatar')
-    .populate('relatedBloodRequest', 'title bloodGroup urgencyLevel')
+    .populate('relatedBloodRequest', REQUEST_PREVIEW_FIELDS)
     .sort({ createdAt: -1 })
     .limit(limit)
     .skip(skip);
@@ -186,9 +260,10 @@ messageSchema.statics.getUserConversations = function(userId, options = {}) {
     {
       $match: {
         $or: [
-          { sender: mongoose.Types.ObjectId(userId) },
-          { recipient: mongoose.Types.ObjectId(userId) }
-        ]
+          { sender: new mongoose.Types.ObjectId(userId) },
+          { recipient: new mongoose.Types.ObjectId(userId) }
+        ],
+        isHidden: { $ne: true }
       }
     },
     {
@@ -203,7 +278,7 @@ messageSchema.statics.getUserConversations = function(userId, options = {}) {
             $cond: [
               {
                 $and: [
-                  { $eq: ['$recipient', mongoose.Types.ObjectId(userId)] },
+                  { $eq: ['$recipient', new mongoose.Types.ObjectId(userId)] },
                   { $eq: ['$isRead', false] }
                 ]
               },
@@ -235,7 +310,7 @@ messageSchema.statics.getUserConversations = function(userId, options = {}) {
       $addFields: {
         otherParticipant: {
           $cond: [
-            { $eq: ['$lastMessage.sender', mongoose.Types.ObjectId(userId)] },
+            { $eq: ['$lastMessage.sender', new mongoose.Types.ObjectId(userId)] },
             { $arrayElemAt: ['$recipient', 0] },
             { $arrayElemAt: ['$sender', 0] }
           ]
@@ -273,7 +348,8 @@ messageSchema.statics.getUserConversations = function(userId, options = {}) {
 messageSchema.statics.getUnreadCount = function(userId) {
   return this.countDocuments({
     recipient: userId,
-    isRead: false
+    isRead: false,
+    isHidden: { $ne: true }
   });
 };
 
@@ -305,7 +381,8 @@ messageSchema.statics.searchMessages = function(userId, searchTerm, options = {}
       { recipient: userId }
     ],
     message: { $regex: searchTerm, $options: 'i' },
-    messageType: 'text'
+    messageType: 'text',
+    isHidden: { $ne: true }
   })
   .populate('sender', 'name avatar')
   .populate('recipient', 'name avatar')
@@ -322,5 +399,6 @@ messageSchema.index({ createdAt: -1 });
 messageSchema.index({ message: 'text' }); // Text search index
 messageSchema.index({ relatedBloodRequest: 1 });
 messageSchema.index({ expiresAt: 1 });
+messageSchema.index({ isFlagged: 1, moderationStatus: 1, createdAt: 1 });
 
 module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
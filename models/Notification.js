@@ -39,6 +39,8 @@ const notificationSchema = new mongoose.Schema({
       'campaign_invitation',
       'security_alert',
       'feedback_request',
+      'donation_follow_up',
+      'adverse_reaction',
       'general_info'
     ],
     required: [true, 'Notification type is required']
@@ -94,7 +96,7 @@ const notificationSchema = new mongoose.Schema({
   // Delivery Status
   status: {
     type: String,
-    enum: ['pending', 'sent', 'delivered', 'read', 'failed'],
+    enum: ['pending', 'sent', 'delivered', 'read', 'failed', 'cancelled'],
     default: 'pending'
   },
   
@@ -225,6 +227,7 @@ const notificationSchema = new mongoose.Schema({
     max: 3
   },
   lastRetryAt: Date,
+  nextRetryAt: Date, // next delivery attempt; also used as a short lease while sending
   
   // Batch Information
   batchId: String,
@@ -274,12 +277,15 @@ notificationSchema.pre('save', function(next) {
       'emergency_alert': 1,
       'appointment_reminder': 7,
       'donation_reminder': 30,
+      'donation_follow_up': 7,
       'general_info': 30,
       'promotional': 7
     };
     
     const daysToExpire = expireInDays[this.type] || 30;
-    this.expiresAt = new Date(Date.now() + daysToExpire * 24 * 60 * 60 * 1000);
+    // Scheduled notifications expire relative to their release time
+    const base = this.isScheduled && this.scheduledFor ? this.scheduledFor.getTime() : Date.now();
+    this.expiresAt = new Date(base + daysToExpire * 24 * 60 * 60 * 1000);
   }
   next();
 });
@@ -300,8 +306,11 @@ notificationSchema.methods.trackInteraction = function(interactionType, data = {
   this.interactions[interactionType] = true;
   this.interactions[`${interactionType}At`] = new Date();
   
-  if (interactionType === 'clicked' && !this.isRead) {
-    this.markAsRead();
+  // Set inline rather than through markAsRead() so the document is saved once
+  if (['clicked', 'dismissed'].includes(interactionType) && !this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+    this.status = 'read';
   }
   
   return this.save();
@@ -321,7 +330,8 @@ notificationSchema.methods.updateDeliveryStatus = function(channel, status, mess
     .filter(channel => channel.enabled)
     .every(channel => channel.sent);
     
-  if (allChannelsSent) {
+  // Do not downgrade notifications that were already delivered or read
+  if (allChannelsSent && ['pending', 'failed'].includes(this.status)) {
     this.status = 'sent';
   }
   
@@ -345,6 +355,8 @@ notificationSchema.statics.getUnreadCount = function(userId) {
     recipient: userId,
     isRead: false,
     isArchived: false,
+    isScheduled: { $ne: true },
+    status: { $ne: 'cancelled' },
     $or: [
       { expiresAt: { $exists: false } },
       { expiresAt: { $gt: new Date() } }
@@ -352,21 +364,15 @@ notificationSchema.statics.getUnreadCount = function(userId) {
   });
 };
 
-// Static method to get user notifications with filters
-notificationSchema.statics.getUserNotifications = function(userId, options = {}) {
-  const {
-    type,
-    category,
-    isRead,
-    priority,
-    limit = 20,
-    skip = 0,
-    sortBy = '-createdAt'
-  } = options;
+// Static method to build the inbox query for a user
+notificationSchema.statics.getUserNotificationQuery = function(userId, filters = {}) {
+  const { type, category, isRead, priority } = filters;
   
   const query = {
     recipient: userId,
     isArchived: false,
+    isScheduled: { $ne: true },
+    status: { $ne: 'cancelled' },
     $or: [
       { expiresAt: { $exists: false } },
       { expiresAt: { $gt: new Date() } }
@@ -378,9 +384,21 @@ notificationSchema.statics.getUserNotifications = function(userId, options = {})
   if (typeof isRead === 'boolean') query.isRead = isRead;
   if (priority) query.priority = priority;
   
-  return this.find(query)
+  return query;
+};
+
+// Static method to get user notifications with filters
+notificationSchema.statics.getUserNotifications = function(userId, options = {}) {
+  const {
+    limit = 20,
+    skip = 0,
+    sortBy = '-createdAt'
+  } = options;
+  
+  return this.find(this.getUserNotificationQuery(userId, options))
     .populate('sender', 'name avatar')
-    .populate('relatedId')
+    // Related documents are previews; keep private fields out of the inbox
+    .populate({ path: 'relatedId', select: '-responses -adminNotes -password -refreshTokens' })
     .sort(sortBy)
     .skip(skip)
     .limit(limit);
@@ -407,6 +425,7 @@ notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ recipient: 1, type: 1 });
 notificationSchema.index({ recipient: 1, priority: 1 });
 notificationSchema.index({ status: 1 });
+notificationSchema.index({ status: 1, nextRetryAt: 1 });
 notificationSchema.index({ isScheduled: 1, scheduledFor: 1 });
 notificationSchema.index({ batchId: 1 });
 notificationSchema.index({ expiresAt: 1 });
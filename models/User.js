@@ -1,5 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { pointSchema, setGeoPoint } = require('../utils/geo');
+const { getNextEligibleDate } = require('../utils/eligibility');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -59,8 +62,8 @@ const userSchema = new mongoose.Schema({
     upazila: String,
     address: String,
     coordinates: {
-      latitude: Number,
-      longitude: Number
+      type: pointSchema,
+      set: setGeoPoint
     }
   },
   
@@ -75,6 +78,14 @@ const userSchema = new mongoose.Schema({
   },
   lastDonationDate: Date,
   nextEligibleDate: Date,
+  // Earliest date for each donation type; plasma and platelets can follow
+  // a whole blood donation much sooner than another whole blood donation
+  nextEligibleDates: {
+    whole_blood: Date,
+    plasma: Date,
+    platelets: Date,
+    double_red_cells: Date
+  },
   totalDonations: {
     type: Number,
     default: 0
@@ -92,9 +103,14 @@ const userSchema = new mongoose.Schema({
   // Account Settings
   role: {
     type: String,
-    enum: ['user', 'admin', 'moderator'],
+    enum: ['user', 'admin', 'moderator', 'hospital_staff'],
     default: 'user'
   },
+  // Hospital a hospital_staff account verifies donations for
+  hospital: {
+    name: String,
+    district: String
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -108,6 +124,13 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   
+  // Preferred language for notifications and messages
+  language: {
+    type: String,
+    enum: ['bn', 'en'],
+    default: 'bn'
+  },
+  
   // Notification Settings
   notificationSettings: {
     emailNotifications: {
@@ -141,8 +164,23 @@ const userSchema = new mongoose.Schema({
     showLastDonation: {
       type: Boolean,
       default: true
+    },
+    showOnLeaderboard: {
+      type: Boolean,
+      default: true
     }
   },
+  blockedUsers: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    blockedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Statistics
   lifeSaved: {
@@ -159,6 +197,26 @@ const userSchema = new mongoose.Schema({
     min: 1,
     max: 5
   },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  // Points from unlocked achievements
+  totalPoints: {
+    type: Number,
+    default: 0
+  },
+  
+  // Referrals
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   
   // Device Information
   deviceTokens: [String],
@@ -168,6 +226,26 @@ const userSchema = new mongoose.Schema({
     updatedAt: Date
   },
   
+  // Moderation
+  moderationWarnings: [{
+    reason: String,
+    note: String,
+    relatedMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  suspendedAt: Date,
+  suspensionReason: String,
+  
   // Security
   refreshTokens: [String],
   passwordResetToken: String,
@@ -210,12 +288,19 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
-// Pre-save middleware to calculate next eligible donation date
+// Pre-save middleware to default the next eligible donation date when only the
+// last donation date is set; recorded donations set it from their donation type
 userSchema.pre('save', function(next) {
-  if (this.lastDonationDate) {
-    const nextDate = new Date(this.lastDonationDate);
-    nextDate.setDate(nextDate.getDate() + 120); // 4 months gap
-    this.nextEligibleDate = nextDate;
+  if (this.lastDonationDate && this.isModified('lastDonationDate') && !this.isModified('nextEligibleDate')) {
+    this.nextEligibleDate = getNextEligibleDate(this.lastDonationDate, 'whole_blood');
+  }
+  next();
+});
+
+// Pre-save middleware to give new users a code they can invite others with
+userSchema.pre('save', function(next) {
+  if (!this.referralCode) {
+    this.referralCode = crypto.randomBytes(4).toString('hex').toUpperCase();
   }
   next();
 });
@@ -251,20 +336,49 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
-// Check if user is eligible to donate
-userSchema.methods.isEligibleToDonate = function() {
+// Check if user is eligible to donate, optionally a specific donation type.
+// Donors recorded before per-type dates existed fall back to nextEligibleDate.
+userSchema.methods.isEligibleToDonate = function(donationType = null) {
   if (!this.isDonor || !this.isAvailable) return false;
   if (this.age < 18 || this.age > 65) return false;
   if (this.weight < 45) return false;
-  if (this.nextEligibleDate && this.nextEligibleDate > Date.now()) return false;
+
+  const nextDate = (donationType && this.nextEligibleDates && this.nextEligibleDates[donationType]) ||
+    this.nextEligibleDate;
+  if (nextDate && nextDate > Date.now()) return false;
   return true;
 };
 
+// Users on either side of a block with this user
+userSchema.statics.getBlockedUserIds = async function(userId) {
+  const [user, blockedBy] = await Promise.all([
+    this.findById(userId).select('blockedUsers'),
+    this.find({ 'blockedUsers.user': userId }).distinct('_id')
+  ]);
+
+  const blocked = user ? user.blockedUsers.map(entry => entry.user) : [];
+  return [...blocked, ...blockedBy];
+};
+
+// Check whether either user has blocked the other
+userSchema.statics.isBlockedBetween = async function(userId, otherUserId) {
+  const count = await this.countDocuments({
+    $or: [
+      { _id: userId, 'blockedUsers.user': otherUserId },
+      { _id: otherUserId, 'blockedUsers.user': userId }
+    ]
+  });
+
+  return count > 0;
+};
+
 // Create indexes
 userSchema.index({ email: 1 });
 userSchema.index({ phone: 1 });
 userSchema.index({ bloodGroup: 1, isAvailable: 1, isDonor: 1 });
 userSchema.index({ 'location.district': 1, bloodGroup: 1 });
-userSchema.index({ 'location.coordinates.latitude': 1, 'location.coordinates.longitude': 1 });
+userSchema.index({ 'location.coordinates': '2dsphere' });
+userSchema.index({ 'blockedUsers.user': 1 });
+userSchema.index({ referredBy: 1 });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,64 @@
+/*
+ * Backfill nextEligibleDates for each donation type.
+ *
+ * Donors used to have a single nextEligibleDate based on the type they last
+ * donated, which kept whole blood donors out of plasma and platelet requests.
+ * This script works out the date for every donation type from each donor's
+ * completed donations that can still hold them back. Dates only ever move
+ * later, so the script can be run again safely.
+ *
+ * Usage: npm run migrate:eligibility
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Donation = require('../models/Donation');
+const { DONATION_TYPES, getNextEligibleDate, getIntervalWindow } = require('../utils/eligibility');
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log('Connected to MongoDB');
+
+  const cursor = Donation.aggregate([
+    { $match: { status: 'completed', donationDate: { $gte: getIntervalWindow().$gte } } },
+    { $group: { _id: '$donor', donations: { $push: { donationDate: '$donationDate', donationType: '$donationType' } } } }
+  ]).cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  for await (const { _id, donations } of cursor) {
+    const dates = {};
+
+    DONATION_TYPES.forEach(type => {
+      dates[`nextEligibleDates.${type}`] = new Date(Math.max(...donations.map(donation =>
+        getNextEligibleDate(donation.donationDate, donation.donationType, type).getTime()
+      )));
+    });
+
+    operations.push({ updateOne: { filter: { _id }, update: { $max: dates } } });
+    updated++;
+
+    if (operations.length === BATCH_SIZE) {
+      await User.bulkWrite(operations, { ordered: false });
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await User.bulkWrite(operations, { ordered: false });
+  }
+
+  console.log(`Eligibility dates backfilled for ${updated} donors`);
+
+  await mongoose.connection.close();
+  console.log('Eligibility migration completed');
+};
+
+run().catch(async (error) => {
+  console.error('Eligibility migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,91 @@
+/*
+ * Backfill location.coordinates as GeoJSON points.
+ *
+ * Users and blood requests used to store { latitude, longitude } under
+ * location.coordinates. This script rewrites them as
+ * { type: 'Point', coordinates: [longitude, latitude] }, removes incomplete
+ * coordinates, drops the old compound indexes and builds the 2dsphere indexes.
+ *
+ * Usage: npm run migrate:geojson
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const BloodRequest = require('../models/BloodRequest');
+
+const LEGACY_INDEX = 'location.coordinates.latitude_1_location.coordinates.longitude_1';
+
+const migrateCollection = async (Model) => {
+  const collection = Model.collection;
+  let converted = 0;
+  let cleared = 0;
+
+  // Drop the legacy index first so the new 2dsphere index can be built afterwards
+  const indexes = await collection.indexes();
+  if (indexes.some(index => index.name === LEGACY_INDEX)) {
+    await collection.dropIndex(LEGACY_INDEX);
+    console.log(`${Model.modelName}: dropped legacy index ${LEGACY_INDEX}`);
+  }
+
+  const cursor = collection.find(
+    { 'location.coordinates': { $exists: true }, 'location.coordinates.type': { $ne: 'Point' } },
+    { projection: { 'location.coordinates': 1 } }
+  );
+
+  let operations = [];
+
+  for await (const doc of cursor) {
+    const { latitude, longitude } = doc.location.coordinates || {};
+    const valid = typeof latitude === 'number' && typeof longitude === 'number' &&
+      latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+
+    if (valid) {
+      operations.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { 'location.coordinates': { type: 'Point', coordinates: [longitude, latitude] } } }
+        }
+      });
+      converted++;
+    } else {
+      operations.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $unset: { 'location.coordinates': 1 } }
+        }
+      });
+      cleared++;
+    }
+
+    if (operations.length === 500) {
+      await collection.bulkWrite(operations, { ordered: false });
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await collection.bulkWrite(operations, { ordered: false });
+  }
+
+  await Model.createIndexes();
+
+  console.log(`${Model.modelName}: converted ${converted}, cleared ${cleared} invalid coordinates`);
+};
+
+const run = async () => {
+  // Indexes are built explicitly once the documents are converted
+  await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+  console.log('Connected to MongoDB');
+
+  await migrateCollection(User);
+  await migrateCollection(BloodRequest);
+
+  await mongoose.connection.close();
+  console.log('GeoJSON migration completed');
+};
+
+run().catch(async (error) => {
+  console.error('GeoJSON migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+/*
+ * Install the default achievement catalog.
+ *
+ * Achievements are matched by name, so the script can be run again safely:
+ * existing achievements, including any edits made by admins, are left as they
+ * are and only missing ones are created. Prerequisites refer to achievements
+ * listed earlier in the catalog. Unlock statistics are recomputed at the end.
+ *
+ * Usage: npm run seed:achievements
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+require('../models/User');
+const { Achievement } = require('../models/Achievement');
+const { recomputeUnlockRates } = require('../utils/achievements');
+
+const CATALOG = [
+  {
+    name: 'First Drop',
+    nameLocalized: { en: 'First Drop', bn: 'প্রথম ফোঁটা' },
+    description: 'Complete your first blood donation',
+    descriptionLocalized: { en: 'Complete your first blood donation', bn: 'আপনার প্রথম রক্তদান সম্পন্ন করুন' },
+    category: 'milestone',
+    criteria: { type: 'donation_count', value: 1 },
+    icon: '🩸',
+    badge: { color: '#E57373' },
+    points: 10,
+    difficulty: 'easy',
+    rarity: 'common',
+    order: 1,
+    group: 'donations'
+  },
+  {
+    name: 'Regular Donor',
+    nameLocalized: { en: 'Regular Donor', bn: 'নিয়মিত রক্তদাতা' },
+    description: 'Donate blood 5 times',
+    descriptionLocalized: { en: 'Donate blood 5 times', bn: '৫ বার রক্তদান করুন' },
+    category: 'milestone',
+    criteria: { type: 'donation_count', value: 5 },
+    icon: '🏅',
+    badge: { color: '#CD7F32' },
+    points: 50,
+    difficulty: 'medium',
+    rarity: 'common',
+    order: 2,
+    group: 'donations',
+    prerequisites: ['First Drop']
+  },
+  {
+    name: 'Dedicated Donor',
+    nameLocalized: { en: 'Dedicated Donor', bn: 'নিবেদিত রক্তদাতা' },
+    description: 'Donate blood 10 times',
+    descriptionLocalized: { en: 'Donate blood 10 times', bn: '১০ বার রক্তদান করুন' },
+    category: 'milestone',
+    criteria: { type: 'donation_count', value: 10 },
+    icon: '🥈',
+    badge: { color: '#C0C0C0' },
+    points: 100,
+    difficulty: 'hard',
+    rarity: 'rare',
+    order: 3,
+    group: 'donations',
+    prerequisites: ['Regular Donor']
+  },
+  {
+    name: 'Lifesaver Legend',
+    nameLocalized: { en: 'Lifesaver Legend', bn: 'জীবনরক্ষক কিংবদন্তি' },
+    description: 'Donate blood 25 times',
+    descriptionLocalized: { en: 'Donate blood 25 times', bn: '২৫ বার রক্তদান করুন' },
+    category: 'milestone',
+    criteria: { type: 'donation_count', value: 25 },
+    icon: '🏆',
+    badge: { color: '#FFD700', borderColor: '#B8860B' },
+    points: 250,
+    difficulty: 'legendary',
+    rarity: 'legendary',
+    order: 4,
+    group: 'donations',
+    prerequisites: ['Dedicated Donor']
+  },
+  {
+    name: 'Emergency Hero',
+    nameLocalized: { en: 'Emergency Hero', bn: 'জরুরি মুহূর্তের নায়ক' },
+    description: 'Make 3 emergency donations',
+    descriptionLocalized: { en: 'Make 3 emergency donations', bn: '৩ বার জরুরি রক্তদান করুন' },
+    category: 'donation',
+    criteria: { type: 'emergency_donations', value: 3 },
+    icon: '🚑',
+    badge: { color: '#D32F2F' },
+    points: 75,
+    difficulty: 'hard',
+    rarity: 'epic',
+    order: 10
+  },
+  {
+    name: 'Rare Blood Donor',
+    nameLocalized: { en: 'Rare Blood Donor', bn: 'বিরল রক্তের দাতা' },
+    description: 'Donate blood with a rare Rh-negative blood group',
+    descriptionLocalized: { en: 'Donate blood with a rare Rh-negative blood group', bn: 'বিরল নেগেটিভ রক্তের গ্রুপ নিয়ে রক্তদান করুন' },
+    category: 'special',
+    criteria: { type: 'donation_count', value: 1 },
+    icon: '💎',
+    badge: { color: '#7E57C2' },
+    points: 30,
+    difficulty: 'medium',
+    rarity: 'rare',
+    order: 11,
+    specialConditions: { bloodGroups: ['A-', 'B-', 'AB-', 'O-'] }
+  },
+  {
+    name: 'Year-Round Hero',
+    nameLocalized: { en: 'Year-Round Hero', bn: 'সারা বছরের নায়ক' },
+    description: 'Donate blood 3 times in one calendar year',
+    descriptionLocalized: { en: 'Donate blood 3 times in one calendar year', bn: 'এক বছরে ৩ বার রক্তদান করুন' },
+    category: 'consecutive',
+    criteria: { type: 'donation_count', value: 3, timeframe: 'yearly' },
+    icon: '📅',
+    badge: { color: '#26A69A' },
+    points: 60,
+    difficulty: 'hard',
+    rarity: 'rare',
+    order: 12
+  },
+  {
+    name: 'Community Builder',
+    nameLocalized: { en: 'Community Builder', bn: 'কমিউনিটি নির্মাতা' },
+    description: 'Invite 3 friends who go on to donate blood',
+    descriptionLocalized: { en: 'Invite 3 friends who go on to donate blood', bn: 'আপনার আমন্ত্রণে ৩ জন বন্ধুকে রক্তদাতা করুন' },
+    category: 'community',
+    criteria: { type: 'referrals', value: 3 },
+    icon: '🤝',
+    badge: { color: '#42A5F5' },
+    points: 40,
+    difficulty: 'medium',
+    rarity: 'rare',
+    order: 20
+  },
+  {
+    name: 'Campaign Champion',
+    nameLocalized: { en: 'Campaign Champion', bn: 'ক্যাম্পেইন চ্যাম্পিয়ন' },
+    description: 'Donate blood at a donation campaign',
+    descriptionLocalized: { en: 'Donate blood at a donation campaign', bn: 'একটি রক্তদান ক্যাম্পেইনে রক্তদান করুন' },
+    category: 'special',
+    criteria: { type: 'special_event', value: 1 },
+    icon: '🎪',
+    badge: { color: '#FF7043' },
+    points: 25,
+    difficulty: 'easy',
+    rarity: 'epic',
+    order: 30,
+    isSecret: true
+  }
+];
+
+const seedAchievements = async () => {
+  const idsByName = new Map();
+  let created = 0;
+
+  for (const { prerequisites = [], ...definition } of CATALOG) {
+    let achievement = await Achievement.findOne({ name: definition.name });
+
+    if (!achievement) {
+      achievement = await Achievement.create({
+        ...definition,
+        prerequisites: prerequisites.map(name => idsByName.get(name)).filter(Boolean)
+      });
+      created++;
+      console.log(`Created achievement: ${definition.name}`);
+    }
+
+    idsByName.set(definition.name, achievement._id);
+  }
+
+  console.log(`Achievements: created ${created}, kept ${CATALOG.length - created} existing`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log('Connected to MongoDB');
+
+  await seedAchievements();
+
+  const stats = await recomputeUnlockRates();
+  console.log(`Unlock rates recomputed for ${stats.achievements} achievements against ${stats.activeDonors} active donors`);
+
+  await mongoose.connection.close();
+  console.log('Achievement seeding completed');
+};
+
+run().catch(async (error) => {
+  console.error('Achievement seeding failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+const { getPeriodStart, countConsecutive } = require('../utils/achievements');
+
+describe('getPeriodStart', () => {
+  beforeEach(() => {
+    // Thursday
+    jest.useFakeTimers().setSystemTime(new Date(2026, 9, 15, 14, 30));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('returns null for all-time criteria', () => {
+    expect(getPeriodStart()).toBeNull();
+    expect(getPeriodStart('all_time')).toBeNull();
+  });
+
+  it('starts yearly and monthly periods on the first day', () => {
+    expect(getPeriodStart('yearly')).toEqual(new Date(2026, 0, 1));
+    expect(getPeriodStart('monthly')).toEqual(new Date(2026, 9, 1));
+  });
+
+  it('starts weekly periods on Monday', () => {
+    expect(getPeriodStart('weekly')).toEqual(new Date(2026, 9, 12));
+
+    // Sunday still belongs to the week that started on Monday
+    jest.setSystemTime(new Date(2026, 9, 18, 23, 0));
+    expect(getPeriodStart('weekly')).toEqual(new Date(2026, 9, 12));
+  });
+});
+
+describe('countConsecutive', () => {
+  const donations = (...dates) => dates.map(([year, month]) => ({ donationDate: new Date(year, month, 15) }));
+
+  it('counts gaps of four to six months, newest first', () => {
+    expect(countConsecutive(donations([2026, 9], [2026, 5], [2025, 11], [2025, 5]))).toBe(3);
+  });
+
+  it('stops at the first gap that is too short or too long', () => {
+    expect(countConsecutive(donations([2026, 9], [2026, 6], [2026, 1]))).toBe(0);
+    expect(countConsecutive(donations([2026, 9], [2026, 4], [2025, 9]))).toBe(1);
+  });
+
+  it('returns zero for fewer than two donations', () => {
+    expect(countConsecutive([])).toBe(0);
+    expect(countConsecutive(donations([2026, 9]))).toBe(0);
+  });
+});
@@ -0,0 +1,55 @@
+const { signCertificate, isValidCertificateSignature } = require('../utils/certificates');
+
+describe('certificate signatures', () => {
+  const env = { ...process.env };
+  const certificateId = 'CERT-0123456789AB';
+
+  const buildDonation = (overrides = {}) => ({
+    donationId: 'DON-1001',
+    donor: '64b7f0c2a1b2c3d4e5f60718',
+    bloodGroup: 'O+',
+    donationDate: new Date('2026-03-01T09:00:00Z'),
+    hospital: { name: 'Dhaka Medical College Hospital' },
+    donationCertificate: { certificateId },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    process.env.CERTIFICATE_SECRET = 'certificate-secret';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('accepts the signature issued for the donation', () => {
+    const donation = buildDonation();
+
+    expect(isValidCertificateSignature(donation, signCertificate(certificateId, donation))).toBe(true);
+  });
+
+  it('signs a populated donor the same as its id', () => {
+    const donation = buildDonation();
+    const populated = buildDonation({ donor: { _id: donation.donor, name: 'Rahim' } });
+
+    expect(signCertificate(certificateId, populated)).toBe(signCertificate(certificateId, donation));
+  });
+
+  it('rejects the signature once the certified details change', () => {
+    const signature = signCertificate(certificateId, buildDonation());
+
+    expect(isValidCertificateSignature(buildDonation({ bloodGroup: 'A+' }), signature)).toBe(false);
+    expect(isValidCertificateSignature(buildDonation({ hospital: { name: 'Other Hospital' } }), signature)).toBe(false);
+    expect(isValidCertificateSignature(buildDonation({ donationDate: new Date('2026-03-02T09:00:00Z') }), signature)).toBe(false);
+  });
+
+  it('rejects signatures made with another secret or missing', () => {
+    const donation = buildDonation();
+    const signature = signCertificate(certificateId, donation);
+
+    process.env.CERTIFICATE_SECRET = 'rotated-secret';
+    expect(isValidCertificateSignature(donation, signature)).toBe(false);
+    expect(isValidCertificateSignature(donation, undefined)).toBe(false);
+    expect(isValidCertificateSignature(buildDonation({ donationCertificate: undefined }), signature)).toBe(false);
+  });
+});
@@ -0,0 +1,24 @@
+const { buildDateRange } = require('../utils/dates');
+
+describe('buildDateRange', () => {
+  it('returns an empty range without dates', () => {
+    expect(buildDateRange()).toEqual({});
+  });
+
+  it('starts the range at `from`', () => {
+    expect(buildDateRange('2026-01-01')).toEqual({ $gte: new Date('2026-01-01') });
+  });
+
+  it('includes the whole of a date-only `to` day', () => {
+    expect(buildDateRange('2026-01-01', '2026-01-31')).toEqual({
+      $gte: new Date('2026-01-01'),
+      $lt: new Date('2026-02-01')
+    });
+  });
+
+  it('ends at the exact time of a `to` with a time', () => {
+    expect(buildDateRange(undefined, '2026-01-31T12:00:00Z')).toEqual({
+      $lte: new Date('2026-01-31T12:00:00Z')
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const path = require('path');
+const { EXPORT_DIR, signExport, resolveSignedExport } = require('../utils/donationExport');
+
+describe('signed export links', () => {
+  const fileName = `donations-${'a'.repeat(32)}.csv`;
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.DONATION_EXPORT_SECRET = 'export-secret';
+    process.env.JWT_SECRET = 'jwt-secret';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('signs with the export secret, falling back to the JWT secret', () => {
+    const expires = Date.now() + 60000;
+    const signature = signExport(fileName, expires);
+
+    expect(signature).toMatch(/^[a-f0-9]{64}$/);
+    expect(signExport(fileName, expires)).toBe(signature);
+
+    delete process.env.DONATION_EXPORT_SECRET;
+    expect(signExport(fileName, expires)).not.toBe(signature);
+  });
+
+  it('resolves a valid link to the stored file', () => {
+    const expires = Date.now() + 60000;
+
+    expect(resolveSignedExport(fileName, String(expires), signExport(fileName, expires))).toEqual({
+      filePath: path.resolve(EXPORT_DIR, fileName),
+      contentType: 'text/csv; charset=utf-8'
+    });
+  });
+
+  it('rejects tampered, expired and malformed links', () => {
+    const expires = Date.now() + 60000;
+    const signature = signExport(fileName, expires);
+    const otherFile = `donations-${'b'.repeat(32)}.csv`;
+    const expired = Date.now() - 1000;
+
+    expect(resolveSignedExport(otherFile, expires, signature)).toBeNull();
+    expect(resolveSignedExport(fileName, expires + 1, signature)).toBeNull();
+    expect(resolveSignedExport(fileName, expires, signature.slice(1))).toBeNull();
+    expect(resolveSignedExport(fileName, expires, undefined)).toBeNull();
+    expect(resolveSignedExport(fileName, expired, signExport(fileName, expired))).toBeNull();
+
+    const outside = '../../../.env';
+    expect(resolveSignedExport(outside, expires, signExport(outside, expires))).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+const {
+  getIntervalDays,
+  getNextEligibleDate,
+  getProfileIssues,
+  getVitalsIssues,
+  getTimingIssues,
+  getNextEligibleDates,
+  getIntervalWindow
+} = require('../utils/eligibility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('getIntervalDays', () => {
+  it('uses the same-type gap by default', () => {
+    expect(getIntervalDays('whole_blood')).toBe(120);
+    expect(getIntervalDays('platelets')).toBe(7);
+    expect(getIntervalDays('double_red_cells')).toBe(168);
+  });
+
+  it('lets plasma and platelets follow whole blood sooner than whole blood', () => {
+    expect(getIntervalDays('whole_blood', 'plasma')).toBe(28);
+    expect(getIntervalDays('whole_blood', 'platelets')).toBe(28);
+    expect(getIntervalDays('whole_blood', 'double_red_cells')).toBe(120);
+  });
+
+  it('falls back to whole blood for unknown types', () => {
+    expect(getIntervalDays('unknown')).toBe(120);
+    expect(getIntervalDays('plasma', 'unknown')).toBe(28);
+  });
+});
+
+describe('getNextEligibleDate', () => {
+  it('adds the interval for the next donation type', () => {
+    const donationDate = new Date(2026, 0, 10);
+
+    expect(getNextEligibleDate(donationDate, 'whole_blood')).toEqual(new Date(2026, 4, 10));
+    expect(getNextEligibleDate(donationDate, 'whole_blood', 'plasma')).toEqual(new Date(2026, 1, 7));
+  });
+
+  it('does not change the donation date it is given', () => {
+    const donationDate = new Date(2026, 0, 10);
+    getNextEligibleDate(donationDate, 'platelets');
+
+    expect(donationDate).toEqual(new Date(2026, 0, 10));
+  });
+});
+
+describe('getProfileIssues', () => {
+  const donor = { isDonor: true, age: 30, weight: 60 };
+
+  it('returns no reasons for an eligible donor', () => {
+    expect(getProfileIssues(donor)).toEqual([]);
+  });
+
+  it('lists every reason a donor cannot donate', () => {
+    expect(getProfileIssues({ isDonor: false, age: 17, weight: 40 })).toEqual([
+      'Not registered as donor',
+      'Under 18 years old',
+      'Weight below 45kg'
+    ]);
+    expect(getProfileIssues({ ...donor, age: 66 })).toEqual(['Over 65 years old']);
+  });
+
+  it('prefers the weight measured at the donation', () => {
+    expect(getProfileIssues(donor, 44)).toEqual(['Weight below 45kg']);
+  });
+});
+
+describe('getVitalsIssues', () => {
+  it('ignores readings that were not taken', () => {
+    expect(getVitalsIssues()).toEqual([]);
+    expect(getVitalsIssues({ hemoglobinLevel: null })).toEqual([]);
+  });
+
+  it('accepts readings on the limits', () => {
+    expect(getVitalsIssues({
+      hemoglobinLevel: 12.5,
+      bloodPressure: { systolic: 180, diastolic: 60 },
+      pulse: 100,
+      temperature: 37.5
+    })).toEqual([]);
+  });
+
+  it('reports readings outside the limits', () => {
+    expect(getVitalsIssues({
+      hemoglobinLevel: 11,
+      bloodPressure: { systolic: 190, diastolic: 55 },
+      pulse: 45,
+      temperature: 38
+    })).toEqual([
+      'Hemoglobin below 12.5 g/dL',
+      'Systolic blood pressure above 180 mmHg',
+      'Diastolic blood pressure below 60 mmHg',
+      'Pulse below 50 bpm',
+      'Temperature above 37.5 °C'
+    ]);
+  });
+});
+
+describe('getTimingIssues', () => {
+  const wholeBlood = { donationType: 'whole_blood', donationDate: new Date(2026, 0, 10) };
+
+  it('allows a donation once the gap after an earlier one has passed', () => {
+    expect(getTimingIssues([wholeBlood], 'plasma', new Date(2026, 1, 7))).toEqual([]);
+    expect(getTimingIssues([wholeBlood], 'whole_blood', new Date(2026, 4, 10))).toEqual([]);
+  });
+
+  it('rejects a donation too soon after an earlier one', () => {
+    expect(getTimingIssues([wholeBlood], 'plasma', new Date(2026, 0, 15))).toEqual([
+      `Next plasma donation allowed from ${new Date(2026, 1, 7).toDateString()}`
+    ]);
+  });
+
+  it('rejects a backdated donation too close to a later one', () => {
+    expect(getTimingIssues([wholeBlood], 'whole_blood', new Date(2025, 11, 1))).toEqual([
+      `Too close to your whole blood donation on ${new Date(2026, 0, 10).toDateString()}`
+    ]);
+  });
+});
+
+describe('getNextEligibleDates', () => {
+  it('returns the latest date per type and null for types open now', () => {
+    const donations = [
+      { donationType: 'whole_blood', donationDate: new Date(2026, 0, 10) },
+      { donationType: 'platelets', donationDate: new Date(2026, 1, 20) }
+    ];
+
+    expect(getNextEligibleDates(donations, new Date(2026, 2, 1))).toEqual({
+      whole_blood: new Date(2026, 4, 10),
+      plasma: null,
+      platelets: null,
+      double_red_cells: new Date(2026, 4, 10)
+    });
+  });
+
+  it('returns null for every type without donations', () => {
+    expect(Object.values(getNextEligibleDates([]))).toEqual([null, null, null, null]);
+  });
+});
+
+describe('getIntervalWindow', () => {
+  it('spans the longest interval on both sides of the date', () => {
+    const date = new Date('2026-06-01T00:00:00Z');
+
+    expect(getIntervalWindow(date)).toEqual({
+      $gte: new Date(date.getTime() - 168 * DAY_MS),
+      $lte: new Date(date.getTime() + 168 * DAY_MS)
+    });
+  });
+});
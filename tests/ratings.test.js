@@ -0,0 +1,23 @@
+const { bayesianAverage } = require('../utils/ratings');
+
+describe('bayesianAverage', () => {
+  const prior = { mean: 5, weight: 5 };
+
+  it('returns the prior mean without ratings', () => {
+    expect(bayesianAverage(0, 0, prior)).toBe(5);
+  });
+
+  it('shrinks a few ratings toward the prior', () => {
+    // One 1-star rating: (5 * 5 + 1) / 6
+    expect(bayesianAverage(1, 1, prior)).toBe(4.33);
+  });
+
+  it('moves toward the actual average as ratings come in', () => {
+    expect(bayesianAverage(100, 50, { mean: 3, weight: 5 })).toBe(2.09);
+    expect(bayesianAverage(2000, 1000, { mean: 3, weight: 5 })).toBe(2);
+  });
+
+  it('rounds to two decimals', () => {
+    expect(bayesianAverage(4, 1, { mean: 3, weight: 2 })).toBe(3.33);
+  });
+});
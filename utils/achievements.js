@@ -0,0 +1,404 @@
+const mongoose = require('mongoose');
+const { Achievement, UserAchievement } = require('../models/Achievement');
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { logger } = require('../middleware/errorHandler');
+const { buildNotificationContent, getLanguage } = require('./notificationTemplates');
+const { deliverNotification } = require('./notificationDelivery');
+
+// Criteria re-evaluated for each event; a manual check evaluates all of them
+const EVENT_CRITERIA = {
+  donation: ['donation_count', 'life_saved', 'consecutive_donations', 'blood_units', 'emergency_donations', 'special_event'],
+  request_fulfilled: ['life_saved'],
+  rating: ['rating'],
+  referral: ['referrals']
+};
+
+// How often unlock statistics are recomputed
+const STATS_INTERVAL_MS = (parseInt(process.env.ACHIEVEMENT_STATS_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+let statsTimer = null;
+let statsRunning = false;
+
+// Criteria counted from the user's donations; specialConditions.locations
+// limits these to donations at hospitals in those districts
+const DONATION_CRITERIA = EVENT_CRITERIA.donation;
+
+// Start of the current calendar year, month or week (Monday); null for all_time
+const getPeriodStart = (timeframe) => {
+  if (!timeframe || timeframe === 'all_time') return null;
+
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  switch (timeframe) {
+    case 'yearly':
+      date.setMonth(0, 1);
+      break;
+    case 'monthly':
+      date.setDate(1);
+      break;
+    case 'weekly':
+      date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+      break;
+  }
+  return date;
+};
+
+const donationMatch = (user, achievement) => {
+  const match = { donor: user._id, status: 'completed' };
+
+  const since = getPeriodStart(achievement.criteria.timeframe);
+  if (since) match.donationDate = { $gte: since };
+
+  const { locations = [] } = achievement.specialConditions || {};
+  if (locations.length) match['hospital.district'] = { $in: locations };
+
+  return match;
+};
+
+// Count of consecutive donations made 4-6 months apart, newest first
+const countConsecutive = (donations) => {
+  let consecutive = 0;
+  for (let i = 0; i < donations.length - 1; i++) {
+    const current = donations[i].donationDate;
+    const next = donations[i + 1].donationDate;
+    const diffMonths = (current.getFullYear() - next.getFullYear()) * 12 +
+                       (current.getMonth() - next.getMonth());
+
+    if (diffMonths >= 4 && diffMonths <= 6) {
+      consecutive++;
+    } else {
+      break;
+    }
+  }
+  return consecutive;
+};
+
+// Current progress of a user towards an achievement's criteria value
+const getProgress = async (user, achievement) => {
+  const { type, value, timeframe } = achievement.criteria;
+  const match = donationMatch(user, achievement);
+  // Lifetime counts without location limits come from the user's counters
+  const unscoped = !match.donationDate && !match['hospital.district'];
+
+  switch (type) {
+    case 'donation_count':
+      return unscoped ? user.totalDonations || 0 : Donation.countDocuments(match);
+
+    case 'life_saved':
+      return unscoped ? user.lifeSaved || 0 : Donation.countDocuments(match);
+
+    case 'blood_units': {
+      const [units] = await Donation.aggregate([
+        { $match: match },
+        { $group: { _id: null, total: { $sum: '$unitsdonated' } } }
+      ]);
+      return units ? units.total : 0;
+    }
+
+    case 'emergency_donations':
+      return Donation.countDocuments({ ...match, isEmergencyDonation: true });
+
+    // Donations made at campaigns and other special events
+    case 'special_event':
+      return Donation.countDocuments({ ...match, campaignId: { $exists: true, $ne: null } });
+
+    case 'consecutive_donations': {
+      const donations = await Donation.find(match)
+        .sort({ donationDate: -1 })
+        .limit(value + 1)
+        .select('donationDate');
+      return countConsecutive(donations);
+    }
+
+    // Referred users only count once they have donated
+    case 'referrals': {
+      const query = { referredBy: user._id, totalDonations: { $gt: 0 } };
+      const since = getPeriodStart(timeframe);
+      if (since) query.createdAt = { $gte: since };
+      return User.countDocuments(query);
+    }
+
+    // The default rating of new users does not count until someone rates them
+    case 'rating':
+      return user.ratingCount ? Math.floor(user.rating || 0) : 0;
+
+    default:
+      return 0;
+  }
+};
+
+// Conditions beyond the criteria value; `context.donation` is the donation
+// that triggered the check, if any
+const meetsSpecialConditions = (user, achievement, context) => {
+  const { bloodGroups = [], locations = [], emergencyOnly, firstTimeOnly } = achievement.specialConditions || {};
+  const { donation } = context;
+
+  if (bloodGroups.length && !bloodGroups.includes(user.bloodGroup)) return false;
+
+  // Donation criteria already count only donations in these districts
+  if (locations.length && !DONATION_CRITERIA.includes(achievement.criteria.type) &&
+      !locations.includes(user.location && user.location.district)) {
+    return false;
+  }
+
+  if (emergencyOnly && !(donation && donation.isEmergencyDonation)) return false;
+
+  // Only the donor's first donation can unlock these
+  if (firstTimeOnly && !(donation && user.totalDonations <= 1)) return false;
+
+  return true;
+};
+
+// Mark an achievement completed, once. Returns false when it already was.
+const completeAchievement = async (user, achievement, current, context) => {
+  const now = new Date();
+  const { donation, request, action } = context;
+
+  try {
+    await UserAchievement.updateOne(
+      { user: user._id, achievement: achievement._id, isCompleted: { $ne: true } },
+      {
+        $set: {
+          progress: { current, required: achievement.criteria.value, percentage: 100 },
+          isCompleted: true,
+          unlockedAt: now,
+          completedAt: now,
+          lastProgressAt: now,
+          pointsEarned: achievement.points,
+          unlockedBy: {
+            donationId: donation && donation._id,
+            requestId: (request && request._id) || (donation && donation.bloodRequest),
+            action
+          }
+        },
+        $setOnInsert: { firstProgressAt: now }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A completed record exists, so the upsert collided with it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await Promise.all([
+    Achievement.updateOne({ _id: achievement._id }, { $inc: { totalUnlocked: 1 } }),
+    User.updateOne({ _id: user._id }, { $inc: { totalPoints: achievement.points } })
+  ]);
+
+  return true;
+};
+
+const recordProgress = async (user, achievement, current) => {
+  const now = new Date();
+  const required = achievement.criteria.value;
+
+  try {
+    await UserAchievement.updateOne(
+      { user: user._id, achievement: achievement._id, isCompleted: { $ne: true } },
+      {
+        $set: {
+          progress: { current, required, percentage: Math.floor((current / required) * 100) },
+          lastProgressAt: now
+        },
+        $setOnInsert: { firstProgressAt: now }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+const notifyUnlock = async (user, achievement) => {
+  const language = getLanguage(user);
+
+  const notification = await Notification.create({
+    ...buildNotificationContent('achievement_unlock', user, {
+      achievementName: (achievement.nameLocalized && achievement.nameLocalized[language]) || achievement.name,
+      points: achievement.points
+    }),
+    recipient: user._id,
+    type: 'achievement_unlock',
+    relatedId: achievement._id,
+    relatedModel: 'Achievement',
+    data: {
+      achievementId: achievement._id,
+      icon: achievement.icon,
+      badge: achievement.badge,
+      rarity: achievement.rarity,
+      points: achievement.points
+    }
+  });
+
+  await deliverNotification(notification, user);
+};
+
+// Evaluate a user's achievements after an event and unlock those now earned.
+// `event` is one of EVENT_CRITERIA's keys, or null to evaluate everything.
+const checkAchievements = async (userId, event = null, context = {}) => {
+  const user = await User.findById(userId);
+  if (!user) return [];
+
+  const completed = await UserAchievement.find({ user: user._id, isCompleted: true }).select('achievement');
+  const completedIds = new Set(completed.map(userAchievement => userAchievement.achievement.toString()));
+
+  const query = { _id: { $nin: [...completedIds] }, isActive: true };
+  if (event) query['criteria.type'] = { $in: EVENT_CRITERIA[event] || [] };
+
+  const achievements = await Achievement.find(query).sort({ order: 1 });
+  const unlocked = [];
+
+  for (const achievement of achievements) {
+    const prerequisitesMet = achievement.prerequisites.every(id => completedIds.has(id.toString()));
+    if (!prerequisitesMet) continue;
+
+    const current = await getProgress(user, achievement);
+
+    if (current < achievement.criteria.value || !meetsSpecialConditions(user, achievement, context)) {
+      await recordProgress(user, achievement, Math.min(current, achievement.criteria.value));
+      continue;
+    }
+
+    if (!await completeAchievement(user, achievement, current, { ...context, action: context.action || event || 'manual' })) {
+      continue;
+    }
+
+    // Later achievements in this run may depend on this one
+    completedIds.add(achievement._id.toString());
+    unlocked.push({ achievement, pointsEarned: achievement.points });
+
+    notifyUnlock(user, achievement).catch(error => {
+      logger.error('Achievement notification failed', { userId: user._id, achievementId: achievement._id, error: error.message });
+    });
+  }
+
+  if (unlocked.length) {
+    logger.info('Achievements unlocked', {
+      userId: user._id,
+      event,
+      achievements: unlocked.map(({ achievement }) => achievement.name)
+    });
+  }
+
+  return unlocked;
+};
+
+// Run an achievement check in the background
+const triggerAchievements = (userId, event, context = {}) => {
+  checkAchievements(userId, event, context).catch(error => {
+    logger.error('Achievement check failed', { userId, event, error: error.message });
+  });
+};
+
+// Achievement events that follow a recorded donation: the donor's own
+// achievements, the referrer's once a referred donor first donates, and every
+// donor of a request the donation fulfilled
+const onDonationRecorded = (donation, donor, request) => {
+  triggerAchievements(donor._id, 'donation', { donation });
+
+  if (donor.referredBy && !donor.totalDonations) {
+    triggerAchievements(donor.referredBy, 'referral', { action: 'referred_donor_donated' });
+  }
+
+  if (request && request.status === 'fulfilled') {
+    const donors = new Set(request.responses
+      .filter(response => response.status === 'completed')
+      .map(response => response.donor.toString()));
+
+    donors.forEach(donorId => triggerAchievements(donorId, 'request_fulfilled', { request }));
+  }
+};
+
+// Recount each achievement's unlocks and set unlockRate to the percentage of
+// active donors who have unlocked it
+const recomputeUnlockRates = async () => {
+  const activeDonor = { isDonor: true, status: 'active' };
+  const activeDonors = await User.countDocuments(activeDonor);
+
+  const counts = await UserAchievement.aggregate([
+    { $match: { isCompleted: true } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        let: { userId: '$user' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$userId'] }, ...activeDonor } },
+          { $project: { _id: 1 } }
+        ],
+        as: 'activeDonor'
+      }
+    },
+    {
+      $group: {
+        _id: '$achievement',
+        totalUnlocked: { $sum: 1 },
+        activeUnlocked: { $sum: { $cond: [{ $gt: [{ $size: '$activeDonor' }, 0] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const countsByAchievement = new Map(counts.map(count => [count._id.toString(), count]));
+  const achievements = await Achievement.find().select('_id');
+
+  const operations = achievements.map(({ _id }) => {
+    const { totalUnlocked = 0, activeUnlocked = 0 } = countsByAchievement.get(_id.toString()) || {};
+    return {
+      updateOne: {
+        filter: { _id },
+        update: {
+          $set: {
+            totalUnlocked,
+            unlockRate: activeDonors ? Math.round((activeUnlocked / activeDonors) * 10000) / 100 : 0
+          }
+        }
+      }
+    };
+  });
+
+  if (operations.length) await Achievement.bulkWrite(operations);
+
+  return { achievements: operations.length, activeDonors };
+};
+
+// Recompute unlock statistics in the background
+const startAchievementStatsJob = (intervalMs = STATS_INTERVAL_MS) => {
+  if (statsTimer) return;
+
+  statsTimer = setInterval(async () => {
+    // Skip while the database is unavailable or a run is still in progress
+    if (statsRunning || mongoose.connection.readyState !== 1) return;
+
+    statsRunning = true;
+    try {
+      await recomputeUnlockRates();
+    } catch (error) {
+      logger.error('Achievement statistics job failed', { error: error.message });
+    } finally {
+      statsRunning = false;
+    }
+  }, intervalMs);
+
+  statsTimer.unref();
+};
+
+const stopAchievementStatsJob = () => {
+  if (statsTimer) {
+    clearInterval(statsTimer);
+    statsTimer = null;
+  }
+};
+
+module.exports = {
+  EVENT_CRITERIA,
+  getPeriodStart,
+  countConsecutive,
+  checkAchievements,
+  triggerAchievements,
+  onDonationRecorded,
+  recomputeUnlockRates,
+  startAchievementStatsJob,
+  stopAchievementStatsJob
+};
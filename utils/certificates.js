@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { logger } = require('../middleware/errorHandler');
+
+const CERTIFICATE_DIR = 'assets/certificates';
+
+const getSigningSecret = () => process.env.CERTIFICATE_SECRET || process.env.JWT_SECRET;
+
+// Certificates are generated outside a request, so links use the configured public URL
+const getBaseUrl = () => (process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  timeZone: 'UTC'
+});
+
+// The signature binds the certificate to the donation details it shows, so any
+// later change to those details invalidates it
+const signCertificate = (certificateId, donation) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update([
+    certificateId,
+    donation.donationId,
+    (donation.donor._id || donation.donor).toString(),
+    donation.bloodGroup,
+    new Date(donation.donationDate).toISOString(),
+    donation.hospital && donation.hospital.name
+  ].join(':'))
+  .digest('hex');
+
+const isValidCertificateSignature = (donation, signature) => {
+  const { certificateId } = donation.donationCertificate || {};
+  if (!certificateId || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signCertificate(certificateId, donation));
+  const provided = Buffer.from(signature);
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+const getVerificationUrl = (certificateId, signature) =>
+  `${getBaseUrl()}/certificates/${certificateId}/verify?signature=${signature}`;
+
+const buildCertificatePdf = ({ certificateId, donorName, donation, issuedDate, verificationUrl, qrCode }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 60,
+    info: { Title: `BloodCare Donation Certificate ${certificateId}` }
+  });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { width, height } = doc.page;
+  doc.lineWidth(3).strokeColor('#b71c1c').rect(25, 25, width - 50, height - 50).stroke();
+
+  doc.fillColor('#b71c1c').font('Helvetica-Bold').fontSize(30)
+    .text('Certificate of Blood Donation', 60, 90, { align: 'center' });
+
+  doc.fillColor('black').font('Helvetica').fontSize(14)
+    .text('This certifies that', { align: 'center' })
+    .moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(26).text(donorName, { align: 'center' }).moveDown(0.5);
+  doc.font('Helvetica').fontSize(14)
+    .text(`blood group ${donation.bloodGroup}, donated ${donation.unitsdonated} unit(s) of ${donation.donationType.replace(/_/g, ' ')}`, { align: 'center' })
+    .text(`on ${formatDate(donation.donationDate)} at ${donation.hospital.name}.`, { align: 'center' })
+    .moveDown()
+    .text('Thank you for helping save lives.', { align: 'center' });
+
+  doc.fontSize(10)
+    .text(`Certificate ID: ${certificateId}`, 60, height - 150)
+    .text(`Donation ID: ${donation.donationId}`)
+    .text(`Issued: ${formatDate(issuedDate)}`)
+    .moveDown(0.5)
+    .text('Verify this certificate at:', { width: width - 300 })
+    .fillColor('#1a237e')
+    .text(verificationUrl, { width: width - 300, link: verificationUrl });
+
+  doc.image(qrCode, width - 180, height - 200, { width: 110 });
+  doc.fillColor('black').fontSize(8).text('Scan to verify', width - 180, height - 85, { width: 110, align: 'center' });
+
+  doc.end();
+});
+
+// Generate the certificate for a verified donation and record it on the donation.
+// Donations that already have a certificate keep it.
+const issueDonationCertificate = async (donation) => {
+  if (donation.donationCertificate && donation.donationCertificate.certificateId) {
+    return donation.donationCertificate;
+  }
+
+  const donor = await User.findById(donation.donor).select('name');
+  if (!donor) {
+    throw new Error('Donor not found');
+  }
+
+  const certificateId = `CERT-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  const issuedDate = new Date();
+  const signature = signCertificate(certificateId, donation);
+  const verificationUrl = getVerificationUrl(certificateId, signature);
+
+  const pdf = await buildCertificatePdf({
+    certificateId,
+    donorName: donor.name,
+    donation,
+    issuedDate,
+    verificationUrl,
+    qrCode: await QRCode.toBuffer(verificationUrl, { margin: 1, width: 220 })
+  });
+
+  await fs.promises.mkdir(CERTIFICATE_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(CERTIFICATE_DIR, `${certificateId}.pdf`), pdf);
+
+  const certificate = {
+    certificateId,
+    issuedDate,
+    url: `${getBaseUrl()}/${CERTIFICATE_DIR}/${certificateId}.pdf`
+  };
+
+  // Only fill an empty certificate, in case two saves raced to issue one
+  const result = await donation.constructor.updateOne(
+    { _id: donation._id, 'donationCertificate.certificateId': { $exists: false } },
+    { $set: { donationCertificate: certificate } }
+  );
+
+  if (!result.modifiedCount) {
+    await fs.promises.unlink(path.join(CERTIFICATE_DIR, `${certificateId}.pdf`));
+    const current = await donation.constructor.findById(donation._id).select('donationCertificate');
+    return current && current.donationCertificate;
+  }
+
+  donation.donationCertificate = certificate;
+
+  logger.info('Donation certificate issued', { donationId: donation.donationId, certificateId });
+  return certificate;
+};
+
+module.exports = {
+  issueDonationCertificate,
+  signCertificate,
+  isValidCertificateSignature
+};
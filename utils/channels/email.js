@@ -0,0 +1,30 @@
+const { sendEmail } = require('../email');
+const { renderNotification } = require('../notificationTemplates');
+
+// Email channel adapter
+module.exports = {
+  name: 'email',
+
+  canDeliver: (recipient) => !!recipient.email &&
+    recipient.notificationSettings.emailNotifications !== false,
+
+  send: async (notification, recipient) => {
+    const { email } = renderNotification(notification, recipient);
+
+    const info = await sendEmail({
+      to: recipient.email,
+      subject: email.subject,
+      text: email.text,
+      html: email.html
+    });
+
+    return {
+      messageId: info.messageId,
+      response: {
+        accepted: info.accepted,
+        rejected: info.rejected,
+        response: info.response
+      }
+    };
+  }
+};
@@ -0,0 +1,21 @@
+// Notification channel adapters
+// Each adapter implements:
+//   name                               - key in Notification.deliveryChannels
+//   canDeliver(recipient)              - whether the user can be reached on this channel
+//   send(notification, recipient)      - resolves to { messageId, response }, throws on failure
+const channels = new Map();
+
+const registerChannel = (adapter) => {
+  channels.set(adapter.name, adapter);
+};
+
+const getChannel = (name) => channels.get(name);
+
+registerChannel(require('./email'));
+registerChannel(require('./sms'));
+registerChannel(require('./push'));
+
+module.exports = {
+  registerChannel,
+  getChannel
+};
@@ -0,0 +1,27 @@
+const { sendPush, isPushConfigured } = require('../push');
+const { renderNotification } = require('../notificationTemplates');
+
+// Push channel adapter
+module.exports = {
+  name: 'push',
+
+  canDeliver: (recipient) => isPushConfigured() &&
+    Array.isArray(recipient.deviceTokens) &&
+    recipient.deviceTokens.length > 0 &&
+    recipient.notificationSettings.pushNotifications !== false,
+
+  send: async (notification, recipient) => {
+    const { title, message } = renderNotification(notification, recipient);
+
+    return sendPush({
+      tokens: recipient.deviceTokens,
+      title,
+      body: message,
+      data: {
+        notificationId: notification._id.toString(),
+        type: notification.type,
+        actionUrl: notification.actionUrl
+      }
+    });
+  }
+};
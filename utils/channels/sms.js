@@ -0,0 +1,23 @@
+const { sendSMS, isSMSConfigured } = require('../sms');
+const { renderNotification } = require('../notificationTemplates');
+
+// Keep SMS bodies within two segments
+const MAX_SMS_LENGTH = 306;
+
+// SMS channel adapter
+module.exports = {
+  name: 'sms',
+
+  canDeliver: (recipient) => isSMSConfigured() &&
+    !!recipient.phone &&
+    recipient.notificationSettings.smsNotifications !== false,
+
+  send: async (notification, recipient) => {
+    let message = renderNotification(notification, recipient).sms;
+    if (message.length > MAX_SMS_LENGTH) {
+      message = `${message.slice(0, MAX_SMS_LENGTH - 3)}...`;
+    }
+
+    return sendSMS({ to: recipient.phone, message });
+  }
+};
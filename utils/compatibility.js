@@ -0,0 +1,71 @@
+// ABO/Rh compatibility rules shared by request and donor matching
+
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// Red cells (whole blood, double red cells): donor → recipients
+// O- is the universal red cell donor, AB+ the universal recipient
+const RED_CELL_COMPATIBILITY = {
+  'O-': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'],
+  'O+': ['O+', 'A+', 'B+', 'AB+'],
+  'A-': ['A-', 'A+', 'AB-', 'AB+'],
+  'A+': ['A+', 'AB+'],
+  'B-': ['B-', 'B+', 'AB-', 'AB+'],
+  'B+': ['B+', 'AB+'],
+  'AB-': ['AB-', 'AB+'],
+  'AB+': ['AB+']
+};
+
+// Plasma carries antibodies, so ABO compatibility is reversed and Rh is ignored
+// AB is the universal plasma donor, O the universal plasma recipient
+const PLASMA_ABO_COMPATIBILITY = {
+  O: ['O'],
+  A: ['A', 'O'],
+  B: ['B', 'O'],
+  AB: ['AB', 'A', 'B', 'O']
+};
+
+const splitGroup = (bloodGroup) => ({
+  abo: bloodGroup.slice(0, -1),
+  rh: bloodGroup.slice(-1)
+});
+
+const isRedCellType = (donationType) =>
+  !donationType || donationType === 'whole_blood' || donationType === 'double_red_cells';
+
+// Check whether a donor can give to a recipient for a donation type
+const canDonate = (donorGroup, recipientGroup, donationType = 'whole_blood') => {
+  if (!BLOOD_GROUPS.includes(donorGroup) || !BLOOD_GROUPS.includes(recipientGroup)) return false;
+
+  if (isRedCellType(donationType)) {
+    return RED_CELL_COMPATIBILITY[donorGroup].includes(recipientGroup);
+  }
+
+  const donor = splitGroup(donorGroup);
+  const recipient = splitGroup(recipientGroup);
+  const aboCompatible = PLASMA_ABO_COMPATIBILITY[donor.abo].includes(recipient.abo);
+
+  if (donationType === 'plasma') return aboCompatible;
+
+  // Platelets: plasma ABO rule, and Rh- recipients must receive Rh- platelets
+  // because platelet units contain residual red cells
+  if (donationType === 'platelets') {
+    return aboCompatible && (recipient.rh === '+' || donor.rh === '-');
+  }
+
+  return false;
+};
+
+// Blood groups a donor can give to
+const getCompatibleRecipients = (donorGroup, donationType = 'whole_blood') =>
+  BLOOD_GROUPS.filter(recipientGroup => canDonate(donorGroup, recipientGroup, donationType));
+
+// Blood groups that can give to a recipient
+const getCompatibleDonors = (recipientGroup, donationType = 'whole_blood') =>
+  BLOOD_GROUPS.filter(donorGroup => canDonate(donorGroup, recipientGroup, donationType));
+
+module.exports = {
+  BLOOD_GROUPS,
+  canDonate,
+  getCompatibleRecipients,
+  getCompatibleDonors
+};
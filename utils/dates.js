@@ -0,0 +1,20 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Date filter for a from/to range. A `to` date without a time includes the
+// whole of that day.
+const buildDateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to && DATE_ONLY.test(to)) {
+    range.$lt = new Date(new Date(to).getTime() + DAY_MS);
+  } else if (to) {
+    range.$lte = new Date(to);
+  }
+  return range;
+};
+
+module.exports = {
+  buildDateRange
+};
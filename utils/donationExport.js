@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { logger } = require('../middleware/errorHandler');
+
+const EXPORT_FORMATS = ['csv', 'json', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+// Stored exports are only served through signed links, never as static assets
+const EXPORT_DIR = 'assets/documents/exports';
+
+// How long a signed download link stays valid
+const EXPORT_LINK_TTL_MS = (parseInt(process.env.DONATION_EXPORT_LINK_TTL_MINUTES, 10) || 15) * 60 * 1000;
+
+const EXPORT_FILE_PATTERN = /^donations-[a-f0-9]{32}\.(csv|json|pdf)$/;
+
+const CSV_COLUMNS = [
+  { key: 'donationId', label: 'Donation ID' },
+  { key: 'donationDate', label: 'Date' },
+  { key: 'donationType', label: 'Donation Type' },
+  { key: 'units', label: 'Units' },
+  { key: 'bloodGroup', label: 'Blood Group' },
+  { key: 'hospital', label: 'Hospital' },
+  { key: 'district', label: 'District' },
+  { key: 'verified', label: 'Verified' }
+];
+
+const getSigningSecret = () => process.env.DONATION_EXPORT_SECRET || process.env.JWT_SECRET;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const formatType = (type) => type.replace(/_/g, ' ');
+
+// Flatten donations into the rows every export format shares
+const toExportRows = (donations) => donations.map(donation => ({
+  donationId: donation.donationId,
+  donationDate: formatDate(donation.donationDate),
+  donationType: donation.donationType,
+  units: donation.unitsdonated,
+  bloodGroup: donation.bloodGroup,
+  hospital: (donation.hospital && donation.hospital.name) || '',
+  district: (donation.hospital && donation.hospital.district) || '',
+  verified: Boolean(donation.isVerified)
+}));
+
+// Quote CSV values and keep spreadsheet apps from running them as formulas
+const toCsvValue = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildCsv = (rows) => {
+  const lines = [CSV_COLUMNS.map(column => column.label).join(',')];
+  rows.forEach(row => {
+    lines.push(CSV_COLUMNS.map(column => toCsvValue(row[column.key])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const buildJson = ({ donor, rows, from, to, generatedAt }) => JSON.stringify({
+  donor: {
+    name: donor.name,
+    bloodGroup: donor.bloodGroup
+  },
+  period: { from: formatDate(from) || null, to: formatDate(to) || null },
+  generatedAt,
+  totalDonations: rows.length,
+  totalUnits: rows.reduce((sum, row) => sum + row.units, 0),
+  donations: rows
+}, null, 2);
+
+const PDF_COLUMNS = [
+  { key: 'donationId', label: 'Donation ID', width: 120 },
+  { key: 'donationDate', label: 'Date', width: 65 },
+  { key: 'donationType', label: 'Type', width: 80, format: formatType },
+  { key: 'units', label: 'Units', width: 35 },
+  { key: 'hospital', label: 'Hospital', width: 155 },
+  { key: 'verified', label: 'Verified', width: 40, format: value => (value ? 'Yes' : 'No') }
+];
+
+const drawPdfRow = (doc, cells, y, font) => {
+  let x = doc.page.margins.left;
+  let height = 0;
+
+  doc.font(font).fontSize(9);
+  cells.forEach((text, index) => {
+    const { width } = PDF_COLUMNS[index];
+    doc.text(text, x, y, { width: width - 5 });
+    height = Math.max(height, doc.heightOfString(text, { width: width - 5 }));
+    x += width;
+  });
+
+  return y + height + 6;
+};
+
+const buildPdf = ({ donor, rows, from, to, generatedAt }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'BloodCare Donation Record' } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.font('Helvetica-Bold').fontSize(18).text('BloodCare Donation Record');
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(11)
+    .text(`Donor: ${donor.name}`)
+    .text(`Blood group: ${donor.bloodGroup}`)
+    .text(`Period: ${formatDate(from) || 'First donation'} to ${formatDate(to) || formatDate(generatedAt)}`)
+    .text(`Generated: ${generatedAt.toUTCString()}`);
+  doc.moveDown();
+
+  const header = PDF_COLUMNS.map(column => column.label);
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  let y = drawPdfRow(doc, header, doc.y, 'Helvetica-Bold');
+
+  rows.forEach(row => {
+    if (y > bottom - 30) {
+      doc.addPage();
+      y = drawPdfRow(doc, header, doc.page.margins.top, 'Helvetica-Bold');
+    }
+    y = drawPdfRow(doc, PDF_COLUMNS.map(({ key, format }) => String(format ? format(row[key]) : row[key])), y, 'Helvetica');
+  });
+
+  if (!rows.length) {
+    doc.font('Helvetica').fontSize(10).text('No donations in this period.', doc.page.margins.left, y);
+    y = doc.y;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(10).text(
+    `Total donations: ${rows.length}    Total units: ${rows.reduce((sum, row) => sum + row.units, 0)}`,
+    doc.page.margins.left,
+    y + 10
+  );
+
+  doc.end();
+});
+
+// Render donations in the requested format
+const buildDonationExport = async (format, { donor, donations, from, to }) => {
+  const rows = toExportRows(donations);
+  const generatedAt = new Date();
+
+  let content;
+  if (format === 'csv') content = buildCsv(rows);
+  else if (format === 'json') content = buildJson({ donor, rows, from, to, generatedAt });
+  else content = await buildPdf({ donor, rows, from, to, generatedAt });
+
+  return {
+    content,
+    contentType: CONTENT_TYPES[format],
+    fileName: `bloodcare-donations-${formatDate(generatedAt)}.${format}`
+  };
+};
+
+const signExport = (fileName, expires) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(`${fileName}:${expires}`).digest('hex');
+
+// Remove stored exports whose links have expired
+const pruneExpiredExports = async () => {
+  const cutoff = Date.now() - EXPORT_LINK_TTL_MS;
+  const files = await fs.promises.readdir(EXPORT_DIR).catch(() => []);
+
+  await Promise.all(files.filter(file => EXPORT_FILE_PATTERN.test(file)).map(async file => {
+    const filePath = path.join(EXPORT_DIR, file);
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    if (mtimeMs < cutoff) await fs.promises.unlink(filePath);
+  }));
+};
+
+// Store an export and return the path and query of its signed download link
+const storeExport = async (format, content) => {
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+  pruneExpiredExports().catch(error => {
+    logger.error('Failed to prune donation exports', { error: error.message });
+  });
+
+  const fileName = `donations-${crypto.randomBytes(16).toString('hex')}.${format}`;
+  await fs.promises.writeFile(path.join(EXPORT_DIR, fileName), content);
+
+  const expires = Date.now() + EXPORT_LINK_TTL_MS;
+  return {
+    path: `/donations/exports/${fileName}?expires=${expires}&signature=${signExport(fileName, expires)}`,
+    expiresAt: new Date(expires)
+  };
+};
+
+// Resolve a signed download link to the stored file, or null when the link
+// is malformed, tampered with or expired
+const resolveSignedExport = (fileName, expires, signature) => {
+  if (!EXPORT_FILE_PATTERN.test(fileName) || !/^\d+$/.test(String(expires)) || Number(expires) < Date.now()) {
+    return null;
+  }
+
+  const expected = Buffer.from(signExport(fileName, expires));
+  const provided = Buffer.from(String(signature || ''));
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  return {
+    filePath: path.resolve(EXPORT_DIR, fileName),
+    contentType: CONTENT_TYPES[path.extname(fileName).slice(1)]
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_DIR,
+  buildDonationExport,
+  signExport,
+  storeExport,
+  resolveSignedExport
+};
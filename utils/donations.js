@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const BloodRequest = require('../models/BloodRequest');
+const User = require('../models/User');
+const { AppError, logger } = require('../middleware/errorHandler');
+const { scheduleFollowUpReminders } = require('./followUps');
+const { onDonationRecorded } = require('./achievements');
+const { canDonate } = require('./compatibility');
+const {
+  DONATION_TYPES,
+  getNextEligibleDate,
+  getProfileIssues,
+  getVitalsIssues,
+  getTimingIssues,
+  getIntervalWindow
+} = require('./eligibility');
+
+// When the donor may next give each donation type after `donation`
+const nextEligibleDatesByType = (donation) => DONATION_TYPES.reduce((dates, type) => {
+  dates[`nextEligibleDates.${type}`] = getNextEligibleDate(donation.donationDate, donation.donationType, type);
+  return dates;
+}, {});
+
+// Reasons the donor cannot give this donation: their profile, the pre-donation
+// vitals and the gaps to completed donations around the donation date
+const getEligibilityIssues = async (donor, donationData, session) => {
+  const nearbyDonations = await Donation.find({
+    donor: donor._id,
+    status: 'completed',
+    donationDate: getIntervalWindow(donationData.donationDate)
+  }).select('donationType donationDate').session(session);
+
+  const vitals = donationData.predonationVitals || {};
+  return [
+    ...getProfileIssues(donor, vitals.weight || donor.weight),
+    ...getTimingIssues(nearbyDonations, donationData.donationType || 'whole_blood', donationData.donationDate),
+    ...getVitalsIssues(vitals)
+  ];
+};
+
+// Save a completed donation and update the donor's counters and eligibility.
+// When `requestId` is given, the donor's accepted response `responseId` on that
+// request is completed too. Everything is written together or not at all.
+// Donations the donor is not eligible for are rejected with a 403 listing the
+// `reasons`; eligibility is checked in the transaction so that two donations
+// recorded at once cannot both pass.
+const recordDonation = async ({ donor, donationData, requestId, responseId }) => {
+  let donation;
+  let request;
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      let response;
+
+      if (requestId) {
+        request = await BloodRequest.findById(requestId).session(session);
+        response = request && request.responses.id(responseId);
+
+        if (!response || response.status !== 'accepted') {
+          throw new AppError('Only accepted responses can be marked as completed', 400);
+        }
+
+        const donationType = donationData.donationType || 'whole_blood';
+        if (!canDonate(donor.bloodGroup, request.bloodGroup, donationType)) {
+          throw new AppError(`${donor.bloodGroup} donors cannot donate ${donationType.replace(/_/g, ' ')} to ${request.bloodGroup} patients`, 400);
+        }
+      }
+
+      const reasons = await getEligibilityIssues(donor, donationData, session);
+      if (reasons.length) {
+        const error = new AppError('You are not eligible to donate blood.', 403);
+        error.reasons = reasons;
+        throw error;
+      }
+
+      donation = new Donation({
+        ...donationData,
+        donor: donor._id,
+        bloodGroup: donor.bloodGroup,
+        status: 'completed'
+      });
+
+      if (request) {
+        donation.recipient = request.requestedBy;
+        donation.bloodRequest = request._id;
+      }
+
+      donation.calculatePoints();
+      await donation.save({ session });
+
+      if (request) {
+        // Fulfilment counts the units actually donated
+        response.unitsPromised = donation.unitsdonated;
+        await request.updateResponseStatus(response._id, 'completed', donation.donationDate);
+      }
+
+      // $max keeps the latest dates when an older donation is recorded late
+      await User.findByIdAndUpdate(
+        donor._id,
+        {
+          $inc: {
+            totalDonations: 1,
+            lifeSaved: 1,
+            requestsFulfilled: request ? 1 : 0
+          },
+          $max: {
+            lastDonationDate: donation.donationDate,
+            nextEligibleDate: donation.nextEligibleDate,
+            ...nextEligibleDatesByType(donation)
+          }
+        },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Achievement checks do not hold up the response
+  onDonationRecorded(donation, donor, request);
+
+  scheduleFollowUpReminders(donation).catch(error => {
+    logger.error('Failed to schedule follow-up reminders', { donationId: donation._id, error: error.message });
+  });
+
+  return { donation, request };
+};
+
+module.exports = {
+  recordDonation
+};
@@ -0,0 +1,116 @@
+const User = require('../models/User');
+const { getCompatibleDonors } = require('./compatibility');
+const { DEFAULT_RADIUS_KM, geoNearStage } = require('./geo');
+
+// Maximum candidates loaded before eligibility filtering and ranking
+const MAX_CANDIDATES = 200;
+
+// Ranking weights (total 100)
+const WEIGHTS = {
+  exactMatch: 40,
+  distance: 30,
+  recency: 15,
+  rating: 15
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Score a donor against a request; higher is a better match
+const scoreDonor = (donor, bloodGroup, distance, radiusKm) => {
+  const exactMatch = donor.bloodGroup === bloodGroup ? WEIGHTS.exactMatch : 0;
+
+  // Donors without a known distance (district match only) get half the distance score
+  const distanceScore = typeof distance === 'number'
+    ? WEIGHTS.distance * Math.max(0, 1 - distance / radiusKm)
+    : WEIGHTS.distance / 2;
+
+  // Longer since the last donation ranks higher; first-time donors get full score
+  const daysSinceDonation = donor.lastDonationDate
+    ? (Date.now() - new Date(donor.lastDonationDate).getTime()) / DAY_MS
+    : 365;
+  const recency = WEIGHTS.recency * Math.min(daysSinceDonation, 365) / 365;
+
+  const rating = WEIGHTS.rating * (donor.rating || 0) / 5;
+
+  return {
+    total: Math.round((exactMatch + distanceScore + recency + rating) * 100) / 100,
+    exactMatch: exactMatch > 0,
+    distance: Math.round(distanceScore * 100) / 100,
+    recency: Math.round(recency * 100) / 100,
+    rating: Math.round(rating * 100) / 100
+  };
+};
+
+// Find and rank donors that are compatible with and eligible for a request.
+// `request` needs bloodGroup and location; donationType defaults to whole blood.
+const findEligibleDonors = async (request, options = {}) => {
+  const {
+    radius = DEFAULT_RADIUS_KM,
+    excludeUserIds = [],
+    limit = MAX_CANDIDATES
+  } = options;
+
+  const donationType = request.donationType || 'whole_blood';
+  const donorGroups = getCompatibleDonors(request.bloodGroup, donationType);
+  const now = new Date();
+
+  // Eligibility is checked for the requested donation type; donors without a
+  // date for it (recorded before per-type dates) fall back to nextEligibleDate
+  const typeEligibleDate = `nextEligibleDates.${donationType}`;
+  const query = {
+    isDonor: true,
+    isAvailable: true,
+    status: 'active',
+    bloodGroup: { $in: donorGroups },
+    _id: { $nin: excludeUserIds },
+    $or: [
+      { [typeEligibleDate]: { $lte: now } },
+      {
+        [typeEligibleDate]: null,
+        $or: [{ nextEligibleDate: null }, { nextEligibleDate: { $lte: now } }]
+      }
+    ]
+  };
+
+  const location = request.location || {};
+  const point = location.coordinates && location.coordinates.coordinates
+    ? { type: 'Point', coordinates: location.coordinates.coordinates }
+    : null;
+
+  let candidates;
+  const distances = new Map();
+
+  if (point) {
+    const results = await User.aggregate([
+      geoNearStage(point, radius, query),
+      { $limit: MAX_CANDIDATES },
+      { $project: { password: 0, refreshTokens: 0 } }
+    ]);
+
+    results.forEach(result => distances.set(result._id.toString(), result.distance));
+    candidates = results.map(result => User.hydrate(result));
+  } else if (location.district) {
+    candidates = await User.find({ ...query, 'location.district': location.district })
+      .limit(MAX_CANDIDATES);
+  } else {
+    candidates = [];
+  }
+
+  return candidates
+    .filter(donor => donor.isEligibleToDonate(donationType))
+    .map(donor => {
+      const distance = distances.get(donor._id.toString());
+      return {
+        donor,
+        distance: typeof distance === 'number' ? Math.round(distance * 100) / 100 : null,
+        score: scoreDonor(donor, request.bloodGroup, distance, radius)
+      };
+    })
+    .sort((a, b) => b.score.total - a.score.total)
+    .slice(0, limit);
+};
+
+module.exports = {
+  scoreDonor,
+  findEligibleDonors
+};
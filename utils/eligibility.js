@@ -0,0 +1,137 @@
+const DONATION_TYPES = ['whole_blood', 'plasma', 'platelets', 'double_red_cells'];
+
+// Days to wait after a donation (rows) before the next donation of each type (columns).
+// Red cell losses hold back red cell donations the longest; plasma and platelet
+// donations return the red cells, so any type may follow once their own gap has passed.
+const DONATION_INTERVAL_DAYS = {
+  whole_blood: { whole_blood: 120, plasma: 28, platelets: 28, double_red_cells: 120 },
+  plasma: { whole_blood: 28, plasma: 28, platelets: 28, double_red_cells: 28 },
+  platelets: { whole_blood: 7, plasma: 7, platelets: 7, double_red_cells: 7 },
+  double_red_cells: { whole_blood: 168, plasma: 28, platelets: 28, double_red_cells: 168 }
+};
+
+// Longest gap any donation type imposes
+const MAX_INTERVAL_DAYS = Math.max(...DONATION_TYPES.map(type => DONATION_INTERVAL_DAYS[type][type]));
+
+const MIN_AGE = 18;
+const MAX_AGE = 65;
+const MIN_WEIGHT_KG = 45;
+
+// Pre-donation screening limits
+const VITAL_LIMITS = {
+  hemoglobinLevel: { min: 12.5, label: 'Hemoglobin', unit: 'g/dL' },
+  systolic: { min: 100, max: 180, label: 'Systolic blood pressure', unit: 'mmHg' },
+  diastolic: { min: 60, max: 100, label: 'Diastolic blood pressure', unit: 'mmHg' },
+  pulse: { min: 50, max: 100, label: 'Pulse', unit: 'bpm' },
+  temperature: { max: 37.5, label: 'Temperature', unit: '°C' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatType = (type) => type.replace(/_/g, ' ');
+
+// Days to wait after a donation of one type before donating another
+const getIntervalDays = (fromType, toType = fromType) => {
+  const row = DONATION_INTERVAL_DAYS[fromType] || DONATION_INTERVAL_DAYS.whole_blood;
+  return row[toType] || row.whole_blood;
+};
+
+// Earliest date a donation of `nextType` may follow a donation on `donationDate`
+const getNextEligibleDate = (donationDate, donationType, nextType = donationType) => {
+  const nextDate = new Date(donationDate);
+  nextDate.setDate(nextDate.getDate() + getIntervalDays(donationType, nextType));
+  return nextDate;
+};
+
+// Reasons a user cannot donate at all, whatever the timing
+const getProfileIssues = (user, weight = user.weight) => {
+  const reasons = [];
+
+  if (!user.isDonor) reasons.push('Not registered as donor');
+  if (user.age < MIN_AGE) reasons.push(`Under ${MIN_AGE} years old`);
+  if (user.age > MAX_AGE) reasons.push(`Over ${MAX_AGE} years old`);
+  if (weight < MIN_WEIGHT_KG) reasons.push(`Weight below ${MIN_WEIGHT_KG}kg`);
+
+  return reasons;
+};
+
+// Reasons the pre-donation vitals rule a donation out
+const getVitalsIssues = (vitals = {}) => {
+  const readings = {
+    hemoglobinLevel: vitals.hemoglobinLevel,
+    systolic: vitals.bloodPressure && vitals.bloodPressure.systolic,
+    diastolic: vitals.bloodPressure && vitals.bloodPressure.diastolic,
+    pulse: vitals.pulse,
+    temperature: vitals.temperature
+  };
+
+  const reasons = [];
+  Object.entries(VITAL_LIMITS).forEach(([key, { min, max, label, unit }]) => {
+    const value = readings[key];
+    if (value === undefined || value === null) return;
+
+    if (min !== undefined && value < min) reasons.push(`${label} below ${min} ${unit}`);
+    if (max !== undefined && value > max) reasons.push(`${label} above ${max} ${unit}`);
+  });
+
+  return reasons;
+};
+
+// Reasons a donation of `donationType` on `donationDate` is too close to one of
+// `donations` (completed donations of the same donor), in either direction
+const getTimingIssues = (donations, donationType, donationDate) => {
+  const date = new Date(donationDate);
+  const reasons = [];
+
+  donations.forEach(previous => {
+    const previousDate = new Date(previous.donationDate);
+
+    if (previousDate <= date) {
+      const nextDate = getNextEligibleDate(previousDate, previous.donationType, donationType);
+      if (nextDate > date) {
+        reasons.push(`Next ${formatType(donationType)} donation allowed from ${nextDate.toDateString()}`);
+      }
+    } else if (getNextEligibleDate(date, donationType, previous.donationType) > previousDate) {
+      // Backdated records must leave room before later donations too
+      reasons.push(`Too close to your ${formatType(previous.donationType)} donation on ${previousDate.toDateString()}`);
+    }
+  });
+
+  return reasons;
+};
+
+// Earliest date for each donation type after a donor's recent donations;
+// null means the donor can donate that type now
+const getNextEligibleDates = (donations, asOf = new Date()) => {
+  const dates = {};
+
+  DONATION_TYPES.forEach(type => {
+    const latest = donations.reduce((max, donation) => {
+      const nextDate = getNextEligibleDate(donation.donationDate, donation.donationType, type);
+      return !max || nextDate > max ? nextDate : max;
+    }, null);
+
+    dates[type] = latest && latest > asOf ? latest : null;
+  });
+
+  return dates;
+};
+
+// Date range of past donations that can still affect eligibility around a date
+const getIntervalWindow = (date = new Date()) => ({
+  $gte: new Date(new Date(date).getTime() - MAX_INTERVAL_DAYS * DAY_MS),
+  $lte: new Date(new Date(date).getTime() + MAX_INTERVAL_DAYS * DAY_MS)
+});
+
+module.exports = {
+  DONATION_TYPES,
+  DONATION_INTERVAL_DAYS,
+  VITAL_LIMITS,
+  getIntervalDays,
+  getNextEligibleDate,
+  getProfileIssues,
+  getVitalsIssues,
+  getTimingIssues,
+  getNextEligibleDates,
+  getIntervalWindow
+};
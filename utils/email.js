@@ -1,9 +1,10 @@
 const nodemailer = require('nodemailer');
 const { logger } = require('../middleware/errorHandler');
+const { getLanguage, renderTemplate, renderNotification } = require('./notificationTemplates');
 
 // Create transporter
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
     secure: false, // true for 465, false for other ports
@@ -73,44 +74,25 @@ const sendWelcomeEmail = async (user) => {
 
 // Send notification email
 const sendNotificationEmail = async (user, notification) => {
-  const subject = `BloodCare - ${notification.title}`;
-  const text = `
-    Dear ${user.name},
-
-    ${notification.message}
-
-    Please log in to your BloodCare account for more details.
-
-    Best regards,
-    The BloodCare Team
-  `;
+  const { email } = renderNotification(notification, user);
 
-  await sendEmail({ to: user.email, subject, text });
+  return sendEmail({ to: user.email, ...email });
 };
 
 // Send blood request notification
 const sendBloodRequestNotification = async (donor, request) => {
-  const subject = 'BloodCare - Urgent Blood Request in Your Area';
-  const text = `
-    Dear ${donor.name},
-
-    There's an urgent blood request for ${request.bloodGroup} blood in your area.
-
-    Patient: ${request.patientName}
-    Hospital: ${request.hospitalName}
-    Units needed: ${request.unitsNeeded}
-    Urgency: ${request.urgencyLevel}
-    Needed by: ${request.neededBy.toDateString()}
-
-    Your help could save a life today!
-
-    Please log in to your BloodCare account to respond to this request.
-
-    Best regards,
-    The BloodCare Team
-  `;
-
-  await sendEmail({ to: donor.email, subject, text });
+  const type = request.isEmergency || request.urgencyLevel === 'critical' ? 'emergency_alert' : 'blood_request';
+  const { email } = renderTemplate(type, getLanguage(donor), {
+    bloodGroup: request.bloodGroup,
+    unitsNeeded: request.unitsNeeded,
+    patientName: request.patientName,
+    hospitalName: request.hospitalName,
+    district: request.location.district,
+    urgencyLevel: request.urgencyLevel,
+    neededBy: request.neededBy
+  }, donor.name);
+
+  return sendEmail({ to: donor.email, ...email });
 };
 
 module.exports = {
@@ -0,0 +1,150 @@
+const Notification = require('../models/Notification');
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const { logger } = require('../middleware/errorHandler');
+const { buildNotificationContent } = require('./notificationTemplates');
+const { deliverNotification } = require('./notificationDelivery');
+const { cancelScheduledNotification } = require('./notificationScheduler');
+const { hospitalNamePattern } = require('./hospitals');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after a donation at which the donor is asked how they feel
+const FOLLOW_UP_DAYS = (process.env.DONATION_FOLLOW_UP_DAYS || '1,7')
+  .split(',')
+  .map(days => parseFloat(days))
+  .filter(days => days > 0);
+
+const SEVERITY_ORDER = ['mild', 'moderate', 'severe'];
+
+// Reactions that hospital staff must hear about
+const ESCALATED_SEVERITIES = ['moderate', 'severe'];
+
+const isMoreSevere = (severity, than) => SEVERITY_ORDER.indexOf(severity) > SEVERITY_ORDER.indexOf(than);
+
+// Schedule "how are you feeling" reminders for a donation. Defaults to
+// FOLLOW_UP_DAYS after the donation; pass `dates` for a staff-set follow-up.
+const scheduleFollowUpReminders = async (donation, dates) => {
+  const now = Date.now();
+  const donationTime = new Date(donation.donationDate).getTime();
+  const times = (dates || FOLLOW_UP_DAYS.map(days => donationTime + days * DAY_MS))
+    .map(date => new Date(date))
+    .filter(date => date.getTime() > now);
+
+  if (!times.length) return [];
+
+  const donor = await User.findById(donation.donor).select('language');
+  if (!donor) return [];
+
+  const content = buildNotificationContent('donation_follow_up', donor, {
+    hospitalName: donation.hospital.name,
+    donationDate: donation.donationDate
+  });
+
+  const reminders = await Promise.all(times.map(scheduledFor => Notification.create({
+    ...content,
+    recipient: donor._id,
+    type: 'donation_follow_up',
+    category: 'important',
+    priority: 'high',
+    actionRequired: true,
+    actionType: 'respond',
+    actionUrl: `/donations/${donation._id}/follow-up`,
+    relatedId: donation._id,
+    relatedModel: 'Donation',
+    isScheduled: true,
+    scheduledFor
+  })));
+
+  await Donation.updateOne(
+    { _id: donation._id },
+    { $push: { followUpReminders: { $each: reminders.map(reminder => reminder._id) } } }
+  );
+
+  return reminders;
+};
+
+// Cancel reminders that have not been sent yet
+const cancelFollowUpReminders = async (donation) => {
+  const results = await Promise.all(
+    (donation.followUpReminders || []).map(id => cancelScheduledNotification(id))
+  );
+  return results.filter(Boolean).length;
+};
+
+// Hospital staff who should hear about a reaction; admins when the hospital has none
+const getReactionContacts = async (hospitalName) => {
+  const fields = 'name phone email language deviceTokens notificationSettings';
+
+  const staff = hospitalName
+    ? await User.find({
+      role: 'hospital_staff',
+      status: 'active',
+      'hospital.name': hospitalNamePattern(hospitalName)
+    }).select(fields)
+    : [];
+
+  return staff.length ? staff : User.find({ role: 'admin', status: 'active' }).select(fields);
+};
+
+// Alert staff about a moderate or severe reaction reported by a donor
+const escalateReaction = async (donation, donor, report) => {
+  const contacts = await getReactionContacts(donation.hospital.name);
+
+  for (const contact of contacts) {
+    const settings = contact.notificationSettings || {};
+    const notification = await Notification.create({
+      ...buildNotificationContent('adverse_reaction', contact, {
+        donorName: donor.name,
+        severity: report.severity,
+        hospitalName: donation.hospital.name,
+        donationDate: donation.donationDate
+      }),
+      recipient: contact._id,
+      type: 'adverse_reaction',
+      category: 'urgent',
+      priority: report.severity === 'severe' ? 'critical' : 'high',
+      actionRequired: true,
+      actionType: 'view',
+      relatedId: donation._id,
+      relatedModel: 'Donation',
+      data: {
+        donationId: donation.donationId,
+        donorId: donor._id,
+        donorPhone: donor.phone,
+        symptoms: report.symptoms,
+        notes: report.notes
+      },
+      deliveryChannels: {
+        push: { enabled: settings.pushNotifications !== false && (contact.deviceTokens || []).length > 0 },
+        email: { enabled: settings.emailNotifications !== false && !!contact.email },
+        // Severe reactions are texted so they are seen straight away
+        sms: { enabled: report.severity === 'severe' && settings.smsNotifications !== false && !!contact.phone },
+        inApp: { enabled: true }
+      }
+    });
+
+    try {
+      await deliverNotification(notification, contact);
+    } catch (error) {
+      logger.error('Adverse reaction alert delivery failed', { notificationId: notification._id, error: error.message });
+    }
+  }
+
+  logger.warn('Adverse reaction escalated', {
+    donationId: donation.donationId,
+    severity: report.severity,
+    contacts: contacts.length
+  });
+
+  return contacts.length;
+};
+
+module.exports = {
+  SEVERITY_ORDER,
+  ESCALATED_SEVERITIES,
+  isMoreSevere,
+  scheduleFollowUpReminders,
+  cancelFollowUpReminders,
+  escalateReaction
+};
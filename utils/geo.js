@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Default and maximum search radius in kilometres
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 100;
+
+// GeoJSON point sub-schema (coordinates are stored as [longitude, latitude])
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: function(value) {
+        return Array.isArray(value) &&
+          value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90;
+      },
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+// Convert latitude/longitude to a GeoJSON point
+const toGeoPoint = (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (Number.isNaN(lat) || Number.isNaN(lng)) return null;
+
+  return {
+    type: 'Point',
+    coordinates: [lng, lat]
+  };
+};
+
+// Schema setter accepting either { latitude, longitude } or a GeoJSON point
+const setGeoPoint = (value) => {
+  if (value && value.latitude !== undefined && value.longitude !== undefined) {
+    return toGeoPoint(value.latitude, value.longitude) || undefined;
+  }
+  return value;
+};
+
+// Resolve the search centre and radius from a request,
+// falling back to the user's saved location when no coordinates are given
+const getSearchArea = (req) => {
+  const source = { ...req.body, ...req.query };
+  let point = toGeoPoint(source.latitude, source.longitude);
+
+  if (!point && req.user && req.user.location && req.user.location.coordinates &&
+      req.user.location.coordinates.coordinates) {
+    point = {
+      type: 'Point',
+      coordinates: req.user.location.coordinates.coordinates
+    };
+  }
+
+  const radius = Math.min(parseFloat(source.radius) || DEFAULT_RADIUS_KM, MAX_RADIUS_KM);
+
+  return { point, radius };
+};
+
+// Build a $geoNear stage that reports distance in kilometres
+const geoNearStage = (point, radiusKm, query = {}) => ({
+  $geoNear: {
+    near: point,
+    key: 'location.coordinates',
+    distanceField: 'distance',
+    distanceMultiplier: 0.001,
+    maxDistance: radiusKm * 1000,
+    spherical: true,
+    query
+  }
+});
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  pointSchema,
+  toGeoPoint,
+  setGeoPoint,
+  getSearchArea,
+  geoNearStage
+};
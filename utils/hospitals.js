@@ -0,0 +1,19 @@
+// Hospital names are typed by donors and staff, so they are compared
+// ignoring case and extra spaces
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeHospitalName = (name) => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const isSameHospital = (a, b) => Boolean(normalizeHospitalName(a)) && normalizeHospitalName(a) === normalizeHospitalName(b);
+
+// Query pattern matching stored spellings of a hospital name
+const hospitalNamePattern = (name) => {
+  const words = normalizeHospitalName(name).split(' ').map(escapeRegex);
+  return new RegExp(`^\\s*${words.join('\\s+')}\\s*$`, 'i');
+};
+
+module.exports = {
+  isSameHospital,
+  hospitalNamePattern
+};
@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const { UserAchievement } = require('../models/Achievement');
+const { LEADERBOARD_PERIODS, LeaderboardSnapshot, LeaderboardEntry } = require('../models/Leaderboard');
+const { logger } = require('../middleware/errorHandler');
+const { getPeriodStart } = require('./achievements');
+
+// How often leaderboards are rebuilt
+const REFRESH_INTERVAL_MS = (parseInt(process.env.LEADERBOARD_REFRESH_MINUTES, 10) || 30) * 60 * 1000;
+
+const BATCH_SIZE = 500;
+
+// The previous snapshot is kept so requests reading it are not cut off
+const KEPT_SNAPSHOTS = 2;
+
+const ENTRY_FIELDS = '-_id -snapshot -period';
+
+let refreshTimer = null;
+let refreshInProgress = null;
+
+// Donation and achievement totals per user since `since`, or for all time.
+// Every metric of every period is counted from these records rather than the
+// running counters on the user, so all-time and period totals always agree.
+const collectTotals = async (since) => {
+  const donationMatch = { status: 'completed' };
+  const achievementMatch = { isCompleted: true, pointsEarned: { $gt: 0 } };
+  if (since) {
+    donationMatch.donationDate = { $gte: since };
+    achievementMatch.completedAt = { $gte: since };
+  }
+
+  const [donationTotals, achievementTotals] = await Promise.all([
+    Donation.aggregate([
+      { $match: donationMatch },
+      {
+        $group: {
+          _id: '$donor',
+          donations: { $sum: 1 },
+          units: { $sum: '$unitsdonated' },
+          points: { $sum: '$pointsEarned' }
+        }
+      }
+    ]),
+    UserAchievement.aggregate([
+      { $match: achievementMatch },
+      { $group: { _id: '$user', points: { $sum: '$pointsEarned' } } }
+    ])
+  ]);
+
+  // Each donation counts as a life saved
+  const totals = new Map(donationTotals.map(({ _id, donations, units, points }) => [
+    _id.toString(),
+    { donations, units, points, livesSaved: donations }
+  ]));
+
+  achievementTotals.forEach(({ _id, points }) => {
+    const id = _id.toString();
+    const entry = totals.get(id) || { donations: 0, units: 0, points: 0, livesSaved: 0 };
+    entry.points += points;
+    totals.set(id, entry);
+  });
+
+  return totals;
+};
+
+// Keep the newest ready snapshots and remove the rest with their entries
+const pruneSnapshots = async () => {
+  const kept = await LeaderboardSnapshot.find({ status: 'ready' })
+    .sort({ completedAt: -1 })
+    .limit(KEPT_SNAPSHOTS)
+    .select('_id');
+
+  const stale = await LeaderboardSnapshot.find({
+    _id: { $nin: kept.map(snapshot => snapshot._id) },
+    status: { $ne: 'building' }
+  }).distinct('_id');
+
+  if (stale.length) {
+    await LeaderboardEntry.deleteMany({ snapshot: { $in: stale } });
+    await LeaderboardSnapshot.deleteMany({ _id: { $in: stale } });
+  }
+};
+
+const buildSnapshot = async () => {
+  const periodStarts = { year: getPeriodStart('yearly'), month: getPeriodStart('monthly') };
+  const snapshot = await LeaderboardSnapshot.create({ periodStarts });
+
+  try {
+    const totalsByPeriod = {};
+    for (const period of LEADERBOARD_PERIODS) {
+      totalsByPeriod[period] = await collectTotals(periodStarts[period] || null);
+    }
+
+    // Users who turned off showOnLeaderboard are left out
+    const cursor = User.find({
+      status: 'active',
+      'privacySettings.showOnLeaderboard': { $ne: false },
+      $or: [{ totalDonations: { $gt: 0 } }, { totalPoints: { $gt: 0 } }]
+    })
+      .select('name avatar location.district bloodGroup')
+      .lean()
+      .cursor();
+
+    let entries = [];
+    let entryCount = 0;
+
+    for await (const user of cursor) {
+      LEADERBOARD_PERIODS.forEach(period => {
+        const totals = totalsByPeriod[period].get(user._id.toString());
+        if (!totals) return;
+
+        entries.push({
+          snapshot: snapshot._id,
+          period,
+          user: user._id,
+          name: user.name,
+          avatar: user.avatar,
+          district: user.location && user.location.district,
+          bloodGroup: user.bloodGroup,
+          ...totals
+        });
+      });
+
+      if (entries.length >= BATCH_SIZE) {
+        await LeaderboardEntry.insertMany(entries, { ordered: false });
+        entryCount += entries.length;
+        entries = [];
+      }
+    }
+
+    if (entries.length) {
+      await LeaderboardEntry.insertMany(entries, { ordered: false });
+      entryCount += entries.length;
+    }
+
+    // Users who opted out while the snapshot was being built may already have
+    // been read, and their removal could have run before their entries existed
+    const optedOut = await User.distinct('_id', { 'privacySettings.showOnLeaderboard': false });
+    if (optedOut.length) {
+      const { deletedCount } = await LeaderboardEntry.deleteMany({ snapshot: snapshot._id, user: { $in: optedOut } });
+      entryCount -= deletedCount;
+    }
+
+    snapshot.status = 'ready';
+    snapshot.completedAt = new Date();
+    snapshot.entryCount = entryCount;
+    await snapshot.save();
+  } catch (error) {
+    snapshot.status = 'failed';
+    await snapshot.save();
+    throw error;
+  }
+
+  await pruneSnapshots();
+
+  logger.info('Leaderboard snapshot built', {
+    snapshotId: snapshot._id,
+    entries: snapshot.entryCount,
+    durationMs: snapshot.completedAt - snapshot.startedAt
+  });
+
+  return snapshot;
+};
+
+// Rebuild the leaderboards; concurrent callers share the same run
+const refreshLeaderboards = () => {
+  if (!refreshInProgress) {
+    refreshInProgress = buildSnapshot().finally(() => {
+      refreshInProgress = null;
+    });
+  }
+  return refreshInProgress;
+};
+
+const getLatestSnapshot = () => LeaderboardSnapshot.findOne({ status: 'ready' }).sort({ completedAt: -1 });
+
+// A page of a leaderboard ranked by `metric`, plus the position of `userId`
+// when they are on it. Tied users share a rank.
+const getLeaderboard = async ({ metric, period, district, bloodGroup, skip, limit, userId }) => {
+  // The first request after setup builds the first snapshot
+  const snapshot = (await getLatestSnapshot()) || (await refreshLeaderboards());
+
+  const query = { snapshot: snapshot._id, period, [metric]: { $gt: 0 } };
+  if (district) query.district = district;
+  if (bloodGroup) query.bloodGroup = bloodGroup;
+
+  const rankOf = async (value) => (await LeaderboardEntry.countDocuments({ ...query, [metric]: { $gt: value } })) + 1;
+
+  const [entries, total, own] = await Promise.all([
+    LeaderboardEntry.find(query)
+      .select(ENTRY_FIELDS)
+      .sort({ [metric]: -1, user: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    LeaderboardEntry.countDocuments(query),
+    userId ? LeaderboardEntry.findOne({ ...query, user: userId }).select(ENTRY_FIELDS).lean() : null
+  ]);
+
+  let rank = 0;
+  for (let i = 0; i < entries.length; i++) {
+    const value = entries[i][metric];
+    if (i === 0) {
+      rank = await rankOf(value);
+    } else if (value !== entries[i - 1][metric]) {
+      rank = skip + i + 1;
+    }
+    entries[i].rank = rank;
+  }
+
+  return {
+    snapshot,
+    entries,
+    total,
+    own: own ? { ...own, rank: await rankOf(own[metric]) } : null
+  };
+};
+
+// Take a user off the current leaderboards straight away, e.g. after opting out
+const removeFromLeaderboards = (userId) => LeaderboardEntry.deleteMany({ user: userId });
+
+// Rebuild leaderboards in the background
+const startLeaderboardJob = (intervalMs = REFRESH_INTERVAL_MS) => {
+  if (refreshTimer) return;
+
+  refreshTimer = setInterval(async () => {
+    // Skip while the database is unavailable or a run is still in progress
+    if (refreshInProgress || mongoose.connection.readyState !== 1) return;
+
+    try {
+      await refreshLeaderboards();
+    } catch (error) {
+      logger.error('Leaderboard refresh failed', { error: error.message });
+    }
+  }, intervalMs);
+
+  refreshTimer.unref();
+};
+
+const stopLeaderboardJob = () => {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+};
+
+module.exports = {
+  refreshLeaderboards,
+  getLeaderboard,
+  removeFromLeaderboards,
+  startLeaderboardJob,
+  stopLeaderboardJob
+};
@@ -0,0 +1,85 @@
+// Automatic message filter for phone-number harvesting and payment solicitation.
+// Configured through environment variables:
+//   MESSAGE_FILTER_ENABLED        'false' turns the filter off
+//   MESSAGE_FILTER_ACTION         'flag' (default) queues for review, 'hide' also hides until reviewed
+//   MESSAGE_FILTER_PHONE          'false' skips phone-number rules
+//   MESSAGE_FILTER_PAYMENT        'false' skips payment rules
+//   MESSAGE_FILTER_EXTRA_TERMS    comma separated terms that flag a message as payment solicitation
+
+// Bengali digits are normalised to ASCII before matching
+const BENGALI_DIGITS = '০১২৩৪৫৬৭৮৯';
+
+const PHONE_PATTERNS = [
+  // Bangladeshi mobile numbers, allowing spaces, dots and dashes between digits
+  /(?:\+?\s*8\s*8[\s.-]*)?0\s*1[\s.-]*[3-9](?:[\s.-]*\d){8}/,
+  // Requests for a phone or WhatsApp/imo contact
+  /\b(?:send|give|share|tell)\b.{0,20}\b(?:your|ur)\b.{0,10}\b(?:number|phone|mobile|whats\s?app|imo)\b/i,
+  /(?:নাম্বার|নম্বর|ফোন)\s*(?:দিন|দাও|পাঠান|পাঠাও)/
+];
+
+const PAYMENT_PATTERNS = [
+  // Mobile money services
+  /\b(?:bkash|bikash|nagad|rocket|upay)\b/i,
+  /বিকাশ|নগদ|রকেট/,
+  // Amounts of money
+  /(?:\d[\d,]*\s*(?:tk|taka|bdt|৳|টাকা))|(?:(?:tk|৳|bdt)\.?\s*\d)/i,
+  // Asking for money for blood
+  /\b(?:pay|payment|price|cost|charge|fee|money)\b.{0,30}\b(?:blood|bag|unit|donat\w*)\b/i,
+  /\b(?:blood|bag|unit|donat\w*)\b.{0,30}\b(?:pay|payment|price|cost|charge|fee|money)\b/i,
+  /টাকা|দাম|পেমেন্ট/
+];
+
+const isEnabled = (name) => process.env[name] !== 'false';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build the active rule set from the current configuration
+const getFilterRules = () => {
+  const rules = [];
+
+  if (isEnabled('MESSAGE_FILTER_PHONE')) {
+    PHONE_PATTERNS.forEach(pattern => rules.push({ reason: 'phone_harvesting', pattern }));
+  }
+
+  if (isEnabled('MESSAGE_FILTER_PAYMENT')) {
+    PAYMENT_PATTERNS.forEach(pattern => rules.push({ reason: 'payment_solicitation', pattern }));
+  }
+
+  (process.env.MESSAGE_FILTER_EXTRA_TERMS || '')
+    .split(',')
+    .map(term => term.trim())
+    .filter(Boolean)
+    .forEach(term => rules.push({
+      reason: 'payment_solicitation',
+      pattern: new RegExp(escapeRegex(term), 'i')
+    }));
+
+  return rules;
+};
+
+const normaliseDigits = (text) => text.replace(/[০-৯]/g, digit => BENGALI_DIGITS.indexOf(digit));
+
+// Check a message; returns { flagged, reason, hide }
+const scanMessage = (text) => {
+  if (!isEnabled('MESSAGE_FILTER_ENABLED') || !text) {
+    return { flagged: false };
+  }
+
+  const normalised = normaliseDigits(text);
+  const match = getFilterRules().find(rule => rule.pattern.test(normalised));
+
+  if (!match) {
+    return { flagged: false };
+  }
+
+  return {
+    flagged: true,
+    reason: match.reason,
+    hide: process.env.MESSAGE_FILTER_ACTION === 'hide'
+  };
+};
+
+module.exports = {
+  getFilterRules,
+  scanMessage
+};
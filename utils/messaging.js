@@ -0,0 +1,26 @@
+const Message = require('../models/Message');
+const { emitToUser } = require('./socket');
+
+// Create a system message between two users and push it to both of them
+const sendSystemMessage = async ({ sender, recipient, systemMessageType, message, relatedBloodRequest }) => {
+  const systemMessage = await Message.create({
+    sender,
+    recipient,
+    message,
+    messageType: 'system',
+    isSystemMessage: true,
+    systemMessageType,
+    relatedBloodRequest
+  });
+
+  await Message.populateForDisplay(systemMessage);
+
+  emitToUser(sender, 'message:new', { message: systemMessage });
+  emitToUser(recipient, 'message:new', { message: systemMessage });
+
+  return systemMessage;
+};
+
+module.exports = {
+  sendSystemMessage
+};
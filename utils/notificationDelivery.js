@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { getChannel } = require('./channels');
+const { emitNotification } = require('./socket');
+const { logger } = require('../middleware/errorHandler');
+
+// Channels sent by the worker; in-app notifications are delivered by being stored
+const EXTERNAL_CHANNELS = ['push', 'email', 'sms'];
+
+// Notification.retryCount is capped at 3 by the schema
+const MAX_RETRIES = 3;
+
+// Retry delays: 30s, 60s, 120s
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+
+// How long a worker holds a notification while sending it
+const LEASE_MS = 2 * 60 * 1000;
+
+const WORKER_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 50;
+
+let workerTimer = null;
+let workerRunning = false;
+
+const getRetryDelay = (retryCount) => BASE_RETRY_DELAY_MS * Math.pow(2, retryCount - 1);
+
+// Whether every enabled channel has been sent
+const allChannelsSent = (notification) => Object.values(notification.deliveryChannels)
+  .filter(channel => channel && channel.enabled)
+  .every(channel => channel.sent);
+
+// Send a notification on each enabled channel that has not been sent yet.
+// Failed channels are retried with exponential backoff up to MAX_RETRIES.
+const deliverNotification = async (notification, recipient = null) => {
+  const user = recipient || await User.findById(notification.recipient);
+
+  if (!user) {
+    notification.status = 'failed';
+    notification.nextRetryAt = undefined;
+    return notification.save();
+  }
+
+  // Push the in-app copy live on the first attempt; retries only cover external channels
+  if (notification.retryCount === 0) {
+    emitNotification(notification).catch(error => {
+      logger.error('Live notification emit failed', { notificationId: notification._id, error: error.message });
+    });
+  }
+
+  let failed = false;
+
+  for (const name of EXTERNAL_CHANNELS) {
+    const state = notification.deliveryChannels[name];
+    if (!state || !state.enabled || state.sent) continue;
+
+    const channel = getChannel(name);
+
+    // Channel unavailable for this user (no device token, opted out, ...)
+    if (!channel || !channel.canDeliver(user)) {
+      state.enabled = false;
+      continue;
+    }
+
+    try {
+      const result = await channel.send(notification, user);
+      await notification.updateDeliveryStatus(name, 'sent', result.messageId, result.response);
+    } catch (error) {
+      failed = true;
+      await notification.updateDeliveryStatus(name, 'failed', null, {
+        error: error.message,
+        attempt: notification.retryCount + 1,
+        failedAt: new Date()
+      });
+    }
+  }
+
+  if (failed) {
+    if (notification.retryCount < MAX_RETRIES) {
+      notification.retryCount += 1;
+      notification.lastRetryAt = new Date();
+      notification.nextRetryAt = new Date(Date.now() + getRetryDelay(notification.retryCount));
+    } else {
+      notification.status = 'failed';
+      notification.nextRetryAt = undefined;
+      logger.warn('Notification delivery failed after retries', {
+        notificationId: notification._id,
+        retryCount: notification.retryCount
+      });
+    }
+  } else {
+    notification.nextRetryAt = undefined;
+    if (allChannelsSent(notification) && notification.status === 'pending') {
+      notification.status = 'sent';
+    }
+  }
+
+  return notification.save();
+};
+
+// Claim a notification by moving its nextRetryAt forward; returns null if another worker has it
+const claimNotification = (notification) => Notification.findOneAndUpdate(
+  { _id: notification._id, status: 'pending', nextRetryAt: notification.nextRetryAt || null },
+  { $set: { nextRetryAt: new Date(Date.now() + LEASE_MS) } },
+  { new: true }
+);
+
+// Deliver pending notifications that are due
+const processPendingNotifications = async () => {
+  const now = new Date();
+
+  const due = await Notification.find({
+    status: 'pending',
+    isScheduled: { $ne: true },
+    $or: [
+      { nextRetryAt: null },
+      { nextRetryAt: { $lte: now } }
+    ]
+  })
+    .select('_id nextRetryAt')
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let delivered = 0;
+
+  for (const candidate of due) {
+    const notification = await claimNotification(candidate);
+    if (!notification) continue;
+
+    try {
+      await deliverNotification(notification);
+      delivered++;
+    } catch (error) {
+      logger.error('Notification delivery error', {
+        notificationId: notification._id,
+        error: error.message
+      });
+    }
+  }
+
+  return delivered;
+};
+
+// Run the delivery worker in the background
+const startDeliveryWorker = (intervalMs = WORKER_INTERVAL_MS) => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(async () => {
+    // Skip while the database is unavailable or a run is still in progress
+    if (workerRunning || mongoose.connection.readyState !== 1) return;
+
+    workerRunning = true;
+    try {
+      await processPendingNotifications();
+    } catch (error) {
+      logger.error('Notification delivery worker failed', { error: error.message });
+    } finally {
+      workerRunning = false;
+    }
+  }, intervalMs);
+
+  workerTimer.unref();
+};
+
+const stopDeliveryWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  LEASE_MS,
+  MAX_RETRIES,
+  getRetryDelay,
+  deliverNotification,
+  processPendingNotifications,
+  startDeliveryWorker,
+  stopDeliveryWorker
+};
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { deliverNotification, LEASE_MS } = require('./notificationDelivery');
+const { logger } = require('../middleware/errorHandler');
+
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 100;
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+// Atomically release a due notification. Only one process can flip isScheduled,
+// and the delivery lease lets the worker finish the send if this process dies.
+const claimScheduledNotification = (notificationId, now) => Notification.findOneAndUpdate(
+  {
+    _id: notificationId,
+    isScheduled: true,
+    status: 'pending',
+    scheduledFor: { $lte: now }
+  },
+  {
+    $set: {
+      isScheduled: false,
+      nextRetryAt: new Date(now.getTime() + LEASE_MS),
+      'deliveryChannels.inApp.sentAt': now
+    }
+  },
+  { new: true }
+);
+
+// Release scheduled notifications that are due and hand them to delivery
+const processScheduledNotifications = async () => {
+  const now = new Date();
+
+  const due = await Notification.find({
+    isScheduled: true,
+    status: 'pending',
+    scheduledFor: { $lte: now }
+  })
+    .select('_id')
+    .sort({ scheduledFor: 1 })
+    .limit(BATCH_SIZE);
+
+  let released = 0;
+
+  for (const candidate of due) {
+    const notification = await claimScheduledNotification(candidate._id, now);
+    if (!notification) continue;
+
+    released++;
+
+    try {
+      await deliverNotification(notification);
+    } catch (error) {
+      // The delivery worker picks it up again once the lease expires
+      logger.error('Scheduled notification delivery failed', {
+        notificationId: notification._id,
+        error: error.message
+      });
+    }
+  }
+
+  if (released > 0) {
+    logger.info('Scheduled notifications released', { released });
+  }
+
+  return released;
+};
+
+// Move a pending scheduled notification to a new time; returns null if it was already released
+const rescheduleNotification = async (notificationId, scheduledFor) => {
+  const notification = await Notification.findOne({
+    _id: notificationId,
+    isScheduled: true,
+    status: 'pending'
+  });
+  if (!notification) return null;
+
+  // Keep the same lifetime after release
+  const shift = scheduledFor.getTime() - notification.scheduledFor.getTime();
+  const update = { scheduledFor };
+  if (notification.expiresAt) {
+    update.expiresAt = new Date(notification.expiresAt.getTime() + shift);
+  }
+
+  return Notification.findOneAndUpdate(
+    { _id: notificationId, isScheduled: true, status: 'pending', scheduledFor: notification.scheduledFor },
+    { $set: update },
+    { new: true }
+  );
+};
+
+// Cancel a pending scheduled notification; returns null if it was already released
+const cancelScheduledNotification = (notificationId) => Notification.findOneAndUpdate(
+  { _id: notificationId, isScheduled: true, status: 'pending' },
+  { $set: { isScheduled: false, status: 'cancelled' } },
+  { new: true }
+);
+
+// Run the scheduler in the background
+const startNotificationScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(async () => {
+    // Skip while the database is unavailable or a run is still in progress
+    if (schedulerRunning || mongoose.connection.readyState !== 1) return;
+
+    schedulerRunning = true;
+    try {
+      await processScheduledNotifications();
+    } catch (error) {
+      logger.error('Notification scheduler failed', { error: error.message });
+    } finally {
+      schedulerRunning = false;
+    }
+  }, intervalMs);
+
+  schedulerTimer.unref();
+};
+
+const stopNotificationScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+module.exports = {
+  processScheduledNotifications,
+  rescheduleNotification,
+  cancelScheduledNotification,
+  startNotificationScheduler,
+  stopNotificationScheduler
+};
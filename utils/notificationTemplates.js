@@ -0,0 +1,410 @@
+// Notification templates keyed by notification type (or a more specific id) and language.
+// Placeholders use {{variable}}; the same template renders in-app, email and SMS text.
+
+const SUPPORTED_LANGUAGES = ['bn', 'en'];
+const DEFAULT_LANGUAGE = 'bn';
+
+const LOCALES = {
+  bn: 'bn-BD',
+  en: 'en-GB'
+};
+
+// Translated values for enum variables
+const VALUE_LABELS = {
+  urgencyLevel: {
+    en: { critical: 'Critical', high: 'High', medium: 'Medium', low: 'Low' },
+    bn: { critical: 'অতি জরুরি', high: 'জরুরি', medium: 'মাঝারি', low: 'সাধারণ' }
+  },
+  reason: {
+    en: {
+      spam: 'spam',
+      harassment: 'harassment',
+      phone_harvesting: 'collecting phone numbers',
+      payment_solicitation: 'asking for payment',
+      inappropriate: 'inappropriate content',
+      other: 'other'
+    },
+    bn: {
+      spam: 'স্প্যাম',
+      harassment: 'হয়রানি',
+      phone_harvesting: 'ফোন নম্বর সংগ্রহ',
+      payment_solicitation: 'টাকা চাওয়া',
+      inappropriate: 'অনুপযুক্ত বিষয়বস্তু',
+      other: 'অন্যান্য'
+    }
+  },
+  severity: {
+    en: { mild: 'mild', moderate: 'moderate', severe: 'severe' },
+    bn: { mild: 'হালকা', moderate: 'মাঝারি', severe: 'গুরুতর' }
+  }
+};
+
+// Email wrapper shared by every template
+const EMAIL_LAYOUT = {
+  en: {
+    subject: 'BloodCare - {{title}}',
+    greeting: 'Dear {{name}},',
+    footer: 'Please log in to your BloodCare account for more details.',
+    signOff: ['Best regards,', 'The BloodCare Team']
+  },
+  bn: {
+    subject: 'BloodCare - {{title}}',
+    greeting: 'প্রিয় {{name}},',
+    footer: 'বিস্তারিত জানতে আপনার BloodCare অ্যাকাউন্টে লগ ইন করুন।',
+    signOff: ['শুভেচ্ছান্তে,', 'BloodCare টিম']
+  }
+};
+
+const BLOOD_REQUEST_DETAILS = {
+  en: [
+    ['Patient', '{{patientName}}'],
+    ['Hospital', '{{hospitalName}}'],
+    ['Units needed', '{{unitsNeeded}}'],
+    ['Urgency', '{{urgencyLevel}}'],
+    ['Needed by', '{{neededBy}}']
+  ],
+  bn: [
+    ['রোগী', '{{patientName}}'],
+    ['হাসপাতাল', '{{hospitalName}}'],
+    ['প্রয়োজনীয় ব্যাগ', '{{unitsNeeded}}'],
+    ['জরুরিতা', '{{urgencyLevel}}'],
+    ['প্রয়োজনের সময়', '{{neededBy}}']
+  ]
+};
+
+// Types whose text is written by an admin or the system pass it through unchanged
+const passThrough = {
+  en: { title: '{{title}}', message: '{{message}}' },
+  bn: { title: '{{title}}', message: '{{message}}' }
+};
+
+const templates = new Map();
+
+// Register or replace a template; `languages` maps a language to
+// { title, message, sms?, emailSubject?, emailDetails? }
+const registerTemplate = (id, languages) => {
+  templates.set(id, languages);
+};
+
+const getTemplate = (id) => templates.get(id);
+
+registerTemplate('blood_request', {
+  en: {
+    title: '{{bloodGroup}} blood needed nearby',
+    message: '{{unitsNeeded}} unit(s) of {{bloodGroup}} blood needed at {{hospitalName}}, {{district}} by {{neededBy}}.',
+    sms: 'BloodCare: {{bloodGroup}} blood needed at {{hospitalName}}, {{district}} by {{neededBy}}. Open the app to respond.',
+    emailSubject: 'BloodCare - {{bloodGroup}} Blood Request in Your Area',
+    emailDetails: BLOOD_REQUEST_DETAILS.en
+  },
+  bn: {
+    title: 'কাছাকাছি {{bloodGroup}} রক্ত প্রয়োজন',
+    message: '{{hospitalName}}, {{district}}-এ {{neededBy}} এর মধ্যে {{unitsNeeded}} ব্যাগ {{bloodGroup}} রক্ত প্রয়োজন।',
+    sms: 'BloodCare: {{hospitalName}}, {{district}}-এ {{neededBy}} এর মধ্যে {{bloodGroup}} রক্ত প্রয়োজন। সাড়া দিতে অ্যাপ খুলুন।',
+    emailSubject: 'BloodCare - আপনার এলাকায় {{bloodGroup}} রক্তের অনুরোধ',
+    emailDetails: BLOOD_REQUEST_DETAILS.bn
+  }
+});
+
+registerTemplate('emergency_alert', {
+  en: {
+    title: 'Emergency: {{bloodGroup}} blood needed',
+    message: 'Urgent: {{unitsNeeded}} unit(s) of {{bloodGroup}} blood needed at {{hospitalName}}, {{district}} by {{neededBy}}. Your help could save a life today!',
+    sms: 'BloodCare EMERGENCY: {{bloodGroup}} blood needed at {{hospitalName}}, {{district}} by {{neededBy}}. Open the app to respond.',
+    emailSubject: 'BloodCare - Urgent Blood Request in Your Area',
+    emailDetails: BLOOD_REQUEST_DETAILS.en
+  },
+  bn: {
+    title: 'জরুরি: {{bloodGroup}} রক্ত প্রয়োজন',
+    message: 'জরুরি: {{hospitalName}}, {{district}}-এ {{neededBy}} এর মধ্যে {{unitsNeeded}} ব্যাগ {{bloodGroup}} রক্ত প্রয়োজন। আপনার সাহায্যে আজ একটি জীবন বাঁচতে পারে!',
+    sms: 'BloodCare জরুরি: {{hospitalName}}, {{district}}-এ {{neededBy}} এর মধ্যে {{bloodGroup}} রক্ত প্রয়োজন। সাড়া দিতে অ্যাপ খুলুন।',
+    emailSubject: 'BloodCare - আপনার এলাকায় জরুরি রক্তের অনুরোধ',
+    emailDetails: BLOOD_REQUEST_DETAILS.bn
+  }
+});
+
+registerTemplate('request_response', {
+  en: {
+    title: 'New response to your blood request',
+    message: '{{donorName}} offered {{unitsPromised}} unit(s) of {{bloodGroup}} blood for {{patientName}}.'
+  },
+  bn: {
+    title: 'আপনার রক্তের অনুরোধে নতুন সাড়া',
+    message: '{{donorName}} {{patientName}}-এর জন্য {{unitsPromised}} ব্যাগ {{bloodGroup}} রক্ত দিতে চেয়েছেন।'
+  }
+});
+
+registerTemplate('donation_reminder', {
+  en: {
+    title: 'You can donate again',
+    message: 'You are eligible to donate blood again from {{nextEligibleDate}}. Thank you for saving lives!'
+  },
+  bn: {
+    title: 'আপনি আবার রক্ত দিতে পারবেন',
+    message: '{{nextEligibleDate}} থেকে আপনি আবার রক্তদান করতে পারবেন। জীবন বাঁচানোর জন্য ধন্যবাদ!'
+  }
+});
+
+registerTemplate('donation_confirmation', {
+  en: {
+    title: 'Donation recorded',
+    message: 'Your donation of {{units}} unit(s) at {{hospitalName}} on {{donationDate}} has been recorded. Thank you!'
+  },
+  bn: {
+    title: 'রক্তদান নথিভুক্ত হয়েছে',
+    message: '{{donationDate}} তারিখে {{hospitalName}}-এ আপনার {{units}} ব্যাগ রক্তদান নথিভুক্ত হয়েছে। ধন্যবাদ!'
+  }
+});
+
+// Sent as a donation_confirmation notification when hospital staff verify a donation
+registerTemplate('donation_verified', {
+  en: {
+    title: 'Donation verified',
+    message: '{{hospitalName}} verified your donation on {{donationDate}}. Your donation certificate will be available shortly.'
+  },
+  bn: {
+    title: 'রক্তদান যাচাই করা হয়েছে',
+    message: '{{hospitalName}} আপনার {{donationDate}} তারিখের রক্তদান যাচাই করেছে। শীঘ্রই আপনার রক্তদান সনদ পাওয়া যাবে।'
+  }
+});
+
+registerTemplate('donation_follow_up', {
+  en: {
+    title: 'How are you feeling?',
+    message: 'Please tell us how you feel after your donation at {{hospitalName}} on {{donationDate}}. Report any dizziness, bruising or other problems in the app.'
+  },
+  bn: {
+    title: 'আপনি কেমন বোধ করছেন?',
+    message: '{{donationDate}} তারিখে {{hospitalName}}-এ রক্তদানের পর আপনি কেমন বোধ করছেন জানান। মাথা ঘোরা, কালশিটে বা অন্য কোনো সমস্যা হলে অ্যাপে জানান।'
+  }
+});
+
+// Sent to hospital staff when a donor reports a moderate or severe reaction
+registerTemplate('adverse_reaction', {
+  en: {
+    title: 'Donor reported a {{severity}} reaction',
+    message: '{{donorName}} reported a {{severity}} reaction after donating at {{hospitalName}} on {{donationDate}}. Please contact the donor.',
+    sms: 'BloodCare: {{donorName}} reported a {{severity}} reaction after donating at {{hospitalName}}. Please check the app.'
+  },
+  bn: {
+    title: 'রক্তদাতা {{severity}} প্রতিক্রিয়ার কথা জানিয়েছেন',
+    message: '{{donorName}} {{donationDate}} তারিখে {{hospitalName}}-এ রক্তদানের পর {{severity}} প্রতিক্রিয়ার কথা জানিয়েছেন। অনুগ্রহ করে রক্তদাতার সাথে যোগাযোগ করুন।',
+    sms: 'BloodCare: {{donorName}} {{hospitalName}}-এ রক্তদানের পর {{severity}} প্রতিক্রিয়ার কথা জানিয়েছেন। অ্যাপ দেখুন।'
+  }
+});
+
+registerTemplate('appointment_reminder', {
+  en: {
+    title: 'Donation appointment reminder',
+    message: 'Your donation appointment at {{hospitalName}} is on {{appointmentDate}}.'
+  },
+  bn: {
+    title: 'রক্তদানের সময়সূচি',
+    message: '{{appointmentDate}} তারিখে {{hospitalName}}-এ আপনার রক্তদানের সময় নির্ধারিত আছে।'
+  }
+});
+
+registerTemplate('achievement_unlock', {
+  en: {
+    title: 'Achievement unlocked: {{achievementName}}',
+    message: 'Congratulations! You earned "{{achievementName}}" and {{points}} points.'
+  },
+  bn: {
+    title: 'নতুন অর্জন: {{achievementName}}',
+    message: 'অভিনন্দন! আপনি "{{achievementName}}" অর্জন করেছেন এবং {{points}} পয়েন্ট পেয়েছেন।'
+  }
+});
+
+registerTemplate('thank_you_message', {
+  en: {
+    title: 'A thank you from {{senderName}}',
+    message: '{{senderName}} thanked you for your donation: "{{message}}"'
+  },
+  bn: {
+    title: '{{senderName}}-এর কাছ থেকে ধন্যবাদ',
+    message: '{{senderName}} আপনার রক্তদানের জন্য ধন্যবাদ জানিয়েছেন: "{{message}}"'
+  }
+});
+
+registerTemplate('feedback_request', {
+  en: {
+    title: 'How was your donation?',
+    message: 'Please share your feedback about your donation at {{hospitalName}}.'
+  },
+  bn: {
+    title: 'আপনার রক্তদান কেমন ছিল?',
+    message: '{{hospitalName}}-এ আপনার রক্তদান সম্পর্কে মতামত দিন।'
+  }
+});
+
+registerTemplate('security_alert', {
+  en: { title: 'Security alert', message: '{{message}}' },
+  bn: { title: 'নিরাপত্তা সতর্কতা', message: '{{message}}' }
+});
+
+// Moderation notices, sent as account_update notifications
+registerTemplate('moderation_warning', {
+  en: {
+    title: 'Warning about your messages',
+    message: 'One of your messages broke our community rules ({{reason}}). Repeated violations can lead to suspension. {{note}}'
+  },
+  bn: {
+    title: 'আপনার বার্তা সম্পর্কে সতর্কতা',
+    message: 'আপনার একটি বার্তা আমাদের কমিউনিটির নিয়ম ভঙ্গ করেছে ({{reason}})। বারবার নিয়ম ভঙ্গ করলে অ্যাকাউন্ট স্থগিত হতে পারে। {{note}}'
+  }
+});
+
+registerTemplate('account_suspended', {
+  en: {
+    title: 'Your account has been suspended',
+    message: 'Your account was suspended for breaking our community rules ({{reason}}). Please contact support. {{note}}'
+  },
+  bn: {
+    title: 'আপনার অ্যাকাউন্ট স্থগিত করা হয়েছে',
+    message: 'কমিউনিটির নিয়ম ভঙ্গের কারণে ({{reason}}) আপনার অ্যাকাউন্ট স্থগিত করা হয়েছে। অনুগ্রহ করে সাপোর্টে যোগাযোগ করুন। {{note}}'
+  }
+});
+
+['system_update', 'account_update', 'campaign_invitation', 'general_info'].forEach(id => {
+  registerTemplate(id, passThrough);
+});
+
+// Language for a recipient, falling back to Bengali
+const getLanguage = (user) => (
+  user && SUPPORTED_LANGUAGES.includes(user.language) ? user.language : DEFAULT_LANGUAGE
+);
+
+// Format a variable for display in a language
+const formatValue = (key, value, language) => {
+  if (value === undefined || value === null) return '';
+
+  const labels = VALUE_LABELS[key];
+  if (labels && labels[language] && labels[language][value]) {
+    return labels[language][value];
+  }
+
+  const locale = LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+
+  // Dates may come back from the database as strings
+  if (value instanceof Date || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value))) {
+    const date = new Date(value);
+    if (!isNaN(date)) {
+      return date.toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+  }
+
+  if (typeof value === 'number') return value.toLocaleString(locale);
+
+  return String(value);
+};
+
+// Replace {{variable}} placeholders
+const interpolate = (text, variables = {}, language = DEFAULT_LANGUAGE) => (
+  text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => formatValue(key, variables[key], language))
+);
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Build email subject, text and HTML from rendered content
+const renderEmail = ({ title, message, details, subject }, language, name) => {
+  const layout = EMAIL_LAYOUT[language];
+  const greeting = interpolate(layout.greeting, { name }, language);
+
+  const text = [
+    greeting,
+    '',
+    message,
+    ...(details.length ? ['', ...details.map(([label, value]) => `${label}: ${value}`)] : []),
+    '',
+    layout.footer,
+    '',
+    ...layout.signOff
+  ].join('\n');
+
+  const detailsHtml = details.length
+    ? `<ul>${details.map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul>`
+    : '';
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    `<h2>${escapeHtml(title)}</h2>`,
+    `<p>${escapeHtml(message)}</p>`,
+    detailsHtml,
+    `<p>${escapeHtml(layout.footer)}</p>`,
+    `<p>${layout.signOff.map(escapeHtml).join('<br>')}</p>`
+  ].join('\n');
+
+  return { subject, text, html };
+};
+
+// Render a template in a language. Unknown languages fall back to Bengali.
+const renderTemplate = (id, language, variables = {}, recipientName = '') => {
+  const template = getTemplate(id);
+  if (!template) return null;
+
+  const lang = SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+  const content = template[lang] || template[DEFAULT_LANGUAGE];
+
+  const title = interpolate(content.title, variables, lang);
+  const message = interpolate(content.message, variables, lang);
+  const sms = content.sms
+    ? interpolate(content.sms, variables, lang)
+    : `BloodCare: ${title}. ${message}`;
+
+  const details = (content.emailDetails || [])
+    .map(([label, value]) => [label, interpolate(value, variables, lang)]);
+  const subject = interpolate(content.emailSubject || EMAIL_LAYOUT[lang].subject, { ...variables, title }, lang);
+
+  return {
+    language: lang,
+    title,
+    message,
+    sms,
+    email: renderEmail({ title, message, details, subject }, lang, recipientName)
+  };
+};
+
+// Notification fields for a templated notification in the recipient's language
+const buildNotificationContent = (id, recipient, variables = {}) => {
+  const language = getLanguage(recipient);
+  const rendered = renderTemplate(id, language, variables);
+
+  return {
+    title: rendered.title,
+    message: rendered.message,
+    language: rendered.language,
+    template: { id, variables }
+  };
+};
+
+// Render a stored notification for delivery. Notifications created without a
+// template use their stored title and message inside the shared layout.
+const renderNotification = (notification, recipient) => {
+  const language = notification.language || getLanguage(recipient);
+  const templateId = notification.template && notification.template.id;
+
+  if (templateId && getTemplate(templateId)) {
+    return renderTemplate(templateId, language, notification.template.variables || {}, recipient.name);
+  }
+
+  return renderTemplate('general_info', language, {
+    title: notification.title,
+    message: notification.message
+  }, recipient.name);
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  registerTemplate,
+  getTemplate,
+  getLanguage,
+  interpolate,
+  renderTemplate,
+  buildNotificationContent,
+  renderNotification
+};
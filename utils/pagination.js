@@ -0,0 +1,23 @@
+// Build pagination values from validated query parameters
+const getPagination = (query, defaultLimit = 10) => {
+  const page = parseInt(query.page, 10) || 1;
+  const limit = parseInt(query.limit, 10) || defaultLimit;
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Format pagination block for list responses, e.g. totalRequests, totalDonors
+const formatPagination = (page, limit, total, label = 'Items') => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    [`total${label}`]: total,
+    hasNext: page < totalPages,
+    hasPrev: page > 1
+  };
+};
+
+module.exports = {
+  getPagination,
+  formatPagination
+};
@@ -0,0 +1,83 @@
+const BloodRequest = require('../models/BloodRequest');
+
+// Response statuses that let a requester see a donor's full contact details
+const CONTACT_STATUSES = ['accepted', 'completed'];
+
+// Donor fields needed to build a privacy-aware view
+const DONOR_CONTACT_FIELDS = 'phone email lastDonationDate privacySettings';
+
+// Keep the operator prefix and the last two digits: 017******78
+const maskPhone = (phone) => {
+  if (!phone || phone.length < 8) return undefined;
+  return `${phone.slice(0, -8)}******${phone.slice(-2)}`;
+};
+
+// Donors among donorIds that the requester has accepted a response from
+const getContactableDonorIds = async (requesterId, donorIds = []) => {
+  const contactable = new Set();
+  if (!requesterId || !donorIds.length) return contactable;
+
+  const requests = await BloodRequest.find({
+    requestedBy: requesterId,
+    responses: {
+      $elemMatch: {
+        donor: { $in: donorIds },
+        status: { $in: CONTACT_STATUSES }
+      }
+    }
+  }).select('responses.donor responses.status');
+
+  requests.forEach(request => {
+    request.responses
+      .filter(response => CONTACT_STATUSES.includes(response.status))
+      .forEach(response => contactable.add(response.donor.toString()));
+  });
+
+  return contactable;
+};
+
+// Contact fields of a donor as shown to someone else. Once the requester has
+// accepted the donor's response the donor has agreed to be contacted, so the
+// full number is shared; otherwise it is masked or hidden by privacy settings.
+const getDonorContact = (donor, canContact = false) => {
+  const settings = donor.privacySettings || {};
+
+  let phone;
+  if (canContact) {
+    phone = donor.phone;
+  } else if (settings.showPhone !== false) {
+    phone = maskPhone(donor.phone);
+  }
+
+  return {
+    phone,
+    email: canContact && settings.showEmail ? donor.email : undefined,
+    lastDonationDate: settings.showLastDonation !== false ? donor.lastDonationDate : undefined
+  };
+};
+
+// Replace populated response donors with their privacy-aware view
+const formatResponseDonors = (responses = []) => responses.map(response => {
+  const { donor } = response;
+  if (!donor || !donor._id) return response;
+
+  return {
+    ...response,
+    donor: {
+      _id: donor._id,
+      name: donor.name,
+      avatar: donor.avatar,
+      bloodGroup: donor.bloodGroup,
+      ...getDonorContact(donor, CONTACT_STATUSES.includes(response.status))
+    }
+  };
+});
+
+module.exports = {
+  CONTACT_STATUSES,
+  DONOR_CONTACT_FIELDS,
+  maskPhone,
+  getContactableDonorIds,
+  getDonorContact,
+  formatResponseDonors
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../middleware/errorHandler');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// OAuth access token for the Firebase service account, reused until it expires
+let fcmAccessToken = null;
+
+const getFCMAccessToken = async () => {
+  if (fcmAccessToken && fcmAccessToken.expiresAt > Date.now() + 60 * 1000) {
+    return fcmAccessToken.token;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const assertion = jwt.sign({
+    iss: process.env.FIREBASE_CLIENT_EMAIL,
+    scope: FCM_SCOPE,
+    aud: GOOGLE_TOKEN_URL,
+    iat: now,
+    exp: now + 3600
+  }, process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'), { algorithm: 'RS256' });
+
+  const response = await fetch(GOOGLE_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.access_token) {
+    throw new Error(`Firebase authentication failed with ${response.status}`);
+  }
+
+  fcmAccessToken = {
+    token: body.access_token,
+    expiresAt: Date.now() + (body.expires_in || 3600) * 1000
+  };
+  return fcmAccessToken.token;
+};
+
+// Firebase Cloud Messaging (HTTP v1 API): one request per device token
+const fcmProvider = {
+  name: 'fcm',
+  send: async ({ tokens, title, body, data = {} }) => {
+    const accessToken = await getFCMAccessToken();
+    const url = `https://fcm.googleapis.com/v1/projects/${process.env.FIREBASE_PROJECT_ID}/messages:send`;
+
+    // FCM only accepts string values in the data payload
+    const payload = Object.entries(data).reduce((fields, [key, value]) => {
+      if (value !== undefined && value !== null) fields[key] = String(value);
+      return fields;
+    }, {});
+
+    const results = await Promise.all(tokens.map(async (token) => {
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${accessToken}`
+          },
+          body: JSON.stringify({ message: { token, notification: { title, body }, data: payload } }),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        return response.ok
+          ? { messageId: result.name }
+          : { error: (result.error && result.error.message) || `FCM responded with ${response.status}` };
+      } catch (error) {
+        return { error: error.message };
+      }
+    }));
+
+    const delivered = results.filter(result => result.messageId);
+
+    if (!delivered.length) {
+      throw new Error(results[0] ? results[0].error : 'No device tokens');
+    }
+
+    return {
+      messageId: delivered[0].messageId,
+      response: {
+        provider: 'fcm',
+        successCount: delivered.length,
+        failureCount: results.length - delivered.length
+      }
+    };
+  }
+};
+
+// Stub provider for tests: keeps pushes in memory instead of sending them
+const stubProvider = {
+  name: 'stub',
+  sent: [],
+  send: async ({ tokens, title, body, data }) => {
+    const messageId = `push-${crypto.randomBytes(8).toString('hex')}`;
+    stubProvider.sent.push({ messageId, tokens, title, body, data, sentAt: new Date() });
+    return {
+      messageId,
+      response: { provider: 'stub', successCount: tokens.length, failureCount: 0 }
+    };
+  }
+};
+
+// Pick the provider from PUSH_PROVIDER. The stub is only used under NODE_ENV=test;
+// elsewhere push stays disabled until Firebase is configured.
+const createProvider = () => {
+  const isTest = process.env.NODE_ENV === 'test';
+  const name = process.env.PUSH_PROVIDER || (isTest ? 'stub' : 'fcm');
+
+  if (name === 'stub' && isTest) {
+    return stubProvider;
+  }
+
+  if (name === 'fcm' && process.env.FIREBASE_PROJECT_ID &&
+      process.env.FIREBASE_CLIENT_EMAIL && process.env.FIREBASE_PRIVATE_KEY) {
+    return fcmProvider;
+  }
+
+  logger.warn('Push provider is not configured; push notifications will not be sent', {
+    provider: name,
+    hint: 'Set PUSH_PROVIDER=fcm with FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL and FIREBASE_PRIVATE_KEY'
+  });
+  return null;
+};
+
+let provider = createProvider();
+
+// Plug in a different push service; it must implement send({ tokens, title, body, data })
+const setPushProvider = (pushProvider) => {
+  provider = pushProvider || createProvider();
+};
+
+const getPushProvider = () => provider;
+
+const isPushConfigured = () => !!provider;
+
+// Send push notification to device tokens
+const sendPush = async (options) => {
+  if (!provider) {
+    throw new Error('Push provider is not configured');
+  }
+
+  try {
+    const result = await provider.send(options);
+
+    logger.info('Push notification sent successfully', {
+      messageId: result.messageId,
+      provider: provider.name,
+      devices: options.tokens.length
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Push notification send failed', {
+      error: error.message,
+      provider: provider.name,
+      devices: options.tokens.length
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  sendPush,
+  setPushProvider,
+  getPushProvider,
+  isPushConfigured,
+  stubProvider
+};
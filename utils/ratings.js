@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+
+// Ratings are shrunk toward a prior until enough feedback comes in. Users start
+// at the User.rating default of 5; hospitals start neutral so that a few good
+// reviews are needed to rank above others.
+const USER_RATING_PRIOR = {
+  mean: 5,
+  weight: parseInt(process.env.RATING_PRIOR_WEIGHT, 10) || 5
+};
+
+const HOSPITAL_SCORE_PRIOR = {
+  mean: 3,
+  weight: parseInt(process.env.RATING_PRIOR_WEIGHT, 10) || 5
+};
+
+const bayesianAverage = (total, count, prior) =>
+  Math.round(((prior.mean * prior.weight + total) / (prior.weight + count)) * 100) / 100;
+
+// Recompute a user's rating from the feedback they received: recipients rate
+// their donors and donors rate the people they donated to
+const updateUserRating = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+
+  const [stats] = await Donation.aggregate([
+    {
+      $match: {
+        status: 'completed',
+        $or: [
+          { donor: id, 'recipientFeedback.rating': { $exists: true } },
+          { recipient: id, 'donorFeedback.rating': { $exists: true } }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: { $cond: [{ $eq: ['$donor', id] }, '$recipientFeedback.rating', '$donorFeedback.rating'] }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const ratingCount = stats ? stats.count : 0;
+  const rating = bayesianAverage(stats ? stats.total : 0, ratingCount, USER_RATING_PRIOR);
+
+  await User.updateOne({ _id: id }, { $set: { rating, ratingCount } });
+  return { rating, ratingCount };
+};
+
+// Quality score per hospital from donors' hospital service and staff behaviour
+// scores. Hospitals are grouped by name, ignoring case and surrounding spaces.
+const getHospitalQualityScores = async ({ district, skip = 0, limit = 10 } = {}) => {
+  const match = { status: 'completed', 'hospital.name': { $exists: true } };
+  if (district) match['hospital.district'] = district;
+
+  const [result] = await Donation.aggregate([
+    { $match: match },
+    {
+      $project: {
+        hospital: 1,
+        hospitalService: '$donorFeedback.hospitalService',
+        staffBehavior: '$donorFeedback.staffBehavior',
+        // Average of whichever of the two scores the donor gave
+        feedbackScore: { $avg: ['$donorFeedback.hospitalService', '$donorFeedback.staffBehavior'] }
+      }
+    },
+    {
+      $group: {
+        _id: { $toLower: { $trim: { input: '$hospital.name' } } },
+        name: { $first: '$hospital.name' },
+        district: { $first: '$hospital.district' },
+        totalDonations: { $sum: 1 },
+        feedbackCount: { $sum: { $cond: [{ $ne: ['$feedbackScore', null] }, 1, 0] } },
+        feedbackTotal: { $sum: '$feedbackScore' },
+        avgHospitalService: { $avg: '$hospitalService' },
+        avgStaffBehavior: { $avg: '$staffBehavior' }
+      }
+    },
+    {
+      $addFields: {
+        qualityScore: {
+          $round: [{
+            $divide: [
+              { $add: [HOSPITAL_SCORE_PRIOR.mean * HOSPITAL_SCORE_PRIOR.weight, '$feedbackTotal'] },
+              { $add: [HOSPITAL_SCORE_PRIOR.weight, '$feedbackCount'] }
+            ]
+          }, 2]
+        },
+        avgHospitalService: { $round: ['$avgHospitalService', 2] },
+        avgStaffBehavior: { $round: ['$avgStaffBehavior', 2] }
+      }
+    },
+    {
+      $facet: {
+        hospitals: [
+          { $sort: { qualityScore: -1, feedbackCount: -1, name: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { _id: 0, feedbackTotal: 0 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    hospitals: result.hospitals,
+    total: result.total.length ? result.total[0].count : 0
+  };
+};
+
+module.exports = {
+  bayesianAverage,
+  updateUserRating,
+  getHospitalQualityScores
+};
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const BloodRequest = require('../models/BloodRequest');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { findEligibleDonors } = require('./donorMatching');
+const { deliverNotification, LEASE_MS } = require('./notificationDelivery');
+const { getLanguage, buildNotificationContent } = require('./notificationTemplates');
+const { logger } = require('../middleware/errorHandler');
+
+// Search radius steps in km; alerts widen to the next step while too few donors respond
+const RADIUS_STEPS_KM = [5, 10, 25, 50];
+
+// Keep widening the first round until at least this many donors are alerted
+const MIN_DONORS_PER_ROUND = 10;
+
+// How long to wait for responses before widening, by urgency
+const ESCALATION_INTERVAL_MS = {
+  critical: 15 * 60 * 1000,
+  high: 30 * 60 * 1000,
+  medium: 60 * 60 * 1000,
+  low: 2 * 60 * 60 * 1000
+};
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+const isEmergencyRequest = (request) => request.isEmergency || request.urgencyLevel === 'critical';
+
+// Units promised by donors who have not been rejected
+const getPledgedUnits = (request) => request.responses
+  .filter(response => response.status !== 'rejected')
+  .reduce((sum, response) => sum + (response.unitsPromised || 1), 0);
+
+// Shared notification content for every donor alerted about a request,
+// rendered in the language of the donors it is sent to
+const buildNotificationData = (request, batchId, donor) => {
+  const emergency = isEmergencyRequest(request);
+  const type = emergency ? 'emergency_alert' : 'blood_request';
+
+  return {
+    ...buildNotificationContent(type, donor, {
+      bloodGroup: request.bloodGroup,
+      unitsNeeded: request.unitsNeeded,
+      patientName: request.patientName,
+      hospitalName: request.hospitalName,
+      district: request.location.district,
+      urgencyLevel: request.urgencyLevel,
+      neededBy: request.neededBy
+    }),
+    type,
+    category: emergency ? 'urgent' : 'important',
+    priority: request.urgencyLevel,
+    isEmergency: emergency,
+    relatedId: request._id,
+    relatedModel: 'BloodRequest',
+    actionRequired: true,
+    actionType: 'respond',
+    actionUrl: `/requests/${request._id}`,
+    actionText: 'Respond',
+    senderType: 'automated',
+    batchId,
+    data: {
+      requestId: request._id,
+      bloodGroup: request.bloodGroup,
+      donationType: request.donationType,
+      hospitalName: request.hospitalName,
+      district: request.location.district,
+      neededBy: request.neededBy
+    }
+  };
+};
+
+// Channels a donor has allowed
+const getDeliveryChannels = (donor) => {
+  const settings = donor.notificationSettings || {};
+
+  return {
+    push: { enabled: settings.pushNotifications !== false && (donor.deviceTokens || []).length > 0 },
+    email: { enabled: settings.emailNotifications !== false && !!donor.email },
+    sms: { enabled: settings.smsNotifications !== false && !!donor.phone },
+    inApp: { enabled: true }
+  };
+};
+
+// Find compatible donors near a request and alert the ones not yet notified.
+// Starts at the given radius step and widens until enough donors are found.
+const dispatchRequestAlerts = async (request, round = 0) => {
+  const alreadyNotified = await Notification.distinct('recipient', {
+    relatedId: request._id,
+    relatedModel: 'BloodRequest'
+  });
+
+  const excludeUserIds = [
+    request.requestedBy,
+    ...alreadyNotified,
+    ...request.responses.map(response => response.donor),
+    // Donors on either side of a block with the requester are never alerted
+    ...await User.getBlockedUserIds(request.requestedBy)
+  ];
+
+  const hasCoordinates = !!(request.location.coordinates && request.location.coordinates.coordinates);
+  const emergency = isEmergencyRequest(request);
+  let step = Math.min(round, RADIUS_STEPS_KM.length - 1);
+  let matches = [];
+
+  for (; step < RADIUS_STEPS_KM.length; step++) {
+    matches = await findEligibleDonors(request, {
+      radius: RADIUS_STEPS_KM[step],
+      excludeUserIds
+    });
+
+    // Donors who opted out of emergency alerts are not contacted for emergencies
+    if (emergency) {
+      matches = matches.filter(({ donor }) => donor.notificationSettings.emergencyAlerts !== false);
+    }
+
+    // District-only requests cannot be widened
+    if (matches.length >= MIN_DONORS_PER_ROUND || !hasCoordinates) break;
+  }
+  step = Math.min(step, RADIUS_STEPS_KM.length - 1);
+
+  const batchId = new mongoose.Types.ObjectId().toString();
+
+  // Donors with the same language and channel preferences share one bulk insert
+  const groups = new Map();
+  matches.forEach(({ donor }) => {
+    const deliveryChannels = getDeliveryChannels(donor);
+    const key = `${getLanguage(donor)}:${JSON.stringify(deliveryChannels)}`;
+    if (!groups.has(key)) groups.set(key, { deliveryChannels, donors: [] });
+    groups.get(key).donors.push(donor);
+  });
+
+  const deliveries = [];
+  for (const { deliveryChannels, donors } of groups.values()) {
+    const notificationData = buildNotificationData(request, batchId, donors[0]);
+
+    // Created under a delivery lease so the worker does not send them a second time
+    const notifications = await Notification.createBulkNotifications(
+      donors.map(donor => donor._id),
+      { ...notificationData, deliveryChannels, nextRetryAt: new Date(Date.now() + LEASE_MS) }
+    );
+    notifications.forEach((notification, index) => {
+      deliveries.push({ notification, donor: donors[index] });
+    });
+  }
+
+  await BloodRequest.updateOne(
+    { _id: request._id },
+    {
+      $set: {
+        'alerts.radius': RADIUS_STEPS_KM[step],
+        'alerts.round': step,
+        'alerts.lastSentAt': new Date()
+      },
+      $inc: { 'alerts.donorsNotified': deliveries.length }
+    }
+  );
+
+  for (const { notification, donor } of deliveries) {
+    try {
+      await deliverNotification(notification, donor);
+    } catch (error) {
+      // Left pending; the delivery worker retries once the lease expires
+      logger.error('Blood request alert delivery failed', {
+        notificationId: notification._id,
+        error: error.message
+      });
+    }
+  }
+
+  logger.info('Blood request alerts dispatched', {
+    requestId: request._id,
+    radius: RADIUS_STEPS_KM[step],
+    donorsNotified: deliveries.length,
+    batchId
+  });
+
+  return { radius: RADIUS_STEPS_KM[step], donorsNotified: deliveries.length, batchId };
+};
+
+// Widen alerts for open requests whose donors have not pledged enough units
+const escalatePendingRequests = async () => {
+  const now = Date.now();
+
+  const requests = await BloodRequest.find({
+    status: { $in: ['active', 'partial'] },
+    neededBy: { $gt: new Date(now) },
+    'location.coordinates': { $exists: true },
+    'alerts.lastSentAt': { $exists: true },
+    'alerts.round': { $lt: RADIUS_STEPS_KM.length - 1 }
+  });
+
+  let escalated = 0;
+
+  for (const request of requests) {
+    if (getPledgedUnits(request) >= request.unitsNeeded) continue;
+
+    // Spread the remaining steps over the time left before neededBy
+    const stepsLeft = RADIUS_STEPS_KM.length - 1 - request.alerts.round;
+    const interval = Math.min(
+      ESCALATION_INTERVAL_MS[request.urgencyLevel] || ESCALATION_INTERVAL_MS.medium,
+      (request.neededBy.getTime() - request.alerts.lastSentAt.getTime()) / (stepsLeft + 1)
+    );
+
+    if (now - request.alerts.lastSentAt.getTime() < interval) continue;
+
+    // Claim the escalation so concurrent sweeps do not alert twice
+    const claim = await BloodRequest.updateOne(
+      { _id: request._id, 'alerts.lastSentAt': request.alerts.lastSentAt },
+      { $set: { 'alerts.lastSentAt': new Date(now) } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    await dispatchRequestAlerts(request, request.alerts.round + 1);
+    escalated++;
+  }
+
+  return escalated;
+};
+
+// Run escalation sweeps in the background
+const startAlertEscalation = (intervalMs = SWEEP_INTERVAL_MS) => {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(async () => {
+    // Skip while the database is unavailable or a sweep is still running
+    if (sweepRunning || mongoose.connection.readyState !== 1) return;
+
+    sweepRunning = true;
+    try {
+      await escalatePendingRequests();
+    } catch (error) {
+      logger.error('Blood request alert escalation failed', { error: error.message });
+    } finally {
+      sweepRunning = false;
+    }
+  }, intervalMs);
+
+  sweepTimer.unref();
+};
+
+const stopAlertEscalation = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  RADIUS_STEPS_KM,
+  dispatchRequestAlerts,
+  escalatePendingRequests,
+  startAlertEscalation,
+  stopAlertEscalation
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { logger } = require('../middleware/errorHandler');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// HTTP SMS gateway: posts { to, message, sender } as JSON to SMS_API_URL
+const httpProvider = {
+  name: 'http',
+  send: async ({ to, message, sender }) => {
+    const response = await fetch(process.env.SMS_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.SMS_API_KEY}`
+      },
+      body: JSON.stringify({ to, message, sender }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+
+    return {
+      messageId: body.messageId || body.id,
+      response: { provider: 'http', status: response.status }
+    };
+  }
+};
+
+// Stub provider for tests: keeps messages in memory instead of sending them
+const stubProvider = {
+  name: 'stub',
+  sent: [],
+  send: async ({ to, message, sender }) => {
+    const messageId = `sms-${crypto.randomBytes(8).toString('hex')}`;
+    stubProvider.sent.push({ messageId, to, message, sender, sentAt: new Date() });
+    return { messageId, response: { provider: 'stub', status: 'queued' } };
+  }
+};
+
+// Pick the provider from SMS_PROVIDER. The stub is only used under NODE_ENV=test;
+// elsewhere SMS stays disabled until a gateway is configured.
+const createProvider = () => {
+  const isTest = process.env.NODE_ENV === 'test';
+  const name = process.env.SMS_PROVIDER || (isTest ? 'stub' : 'http');
+
+  if (name === 'stub' && isTest) {
+    return stubProvider;
+  }
+
+  if (name === 'http' && process.env.SMS_API_URL && process.env.SMS_API_KEY) {
+    return httpProvider;
+  }
+
+  logger.warn('SMS provider is not configured; SMS notifications will not be sent', {
+    provider: name,
+    hint: 'Set SMS_PROVIDER=http with SMS_API_URL and SMS_API_KEY'
+  });
+  return null;
+};
+
+let provider = createProvider();
+
+// Plug in a different SMS gateway; it must implement send({ to, message, sender })
+const setSMSProvider = (smsProvider) => {
+  provider = smsProvider || createProvider();
+};
+
+const getSMSProvider = () => provider;
+
+const isSMSConfigured = () => !!provider;
+
+// Send SMS message
+const sendSMS = async (options) => {
+  if (!provider) {
+    throw new Error('SMS provider is not configured');
+  }
+
+  const sender = process.env.SMS_SENDER_ID || 'BloodCare';
+
+  try {
+    const result = await provider.send({ to: options.to, message: options.message, sender });
+
+    logger.info('SMS sent successfully', {
+      messageId: result.messageId,
+      provider: provider.name,
+      to: options.to
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('SMS send failed', {
+      error: error.message,
+      provider: provider.name,
+      to: options.to
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  sendSMS,
+  setSMSProvider,
+  getSMSProvider,
+  isSMSConfigured,
+  stubProvider
+};
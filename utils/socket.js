@@ -0,0 +1,186 @@
+const { Server } = require('socket.io');
+const Notification = require('../models/Notification');
+const { verifyAccessToken } = require('../middleware/auth');
+const { corsOptions } = require('../middleware/security');
+const { BLOOD_GROUPS, getCompatibleRecipients } = require('./compatibility');
+const { logger } = require('../middleware/errorHandler');
+
+// Limit how many district channels one socket can follow
+const MAX_DISTRICTS = 5;
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+
+const requestRoom = (district, bloodGroup) =>
+  `requests:${String(district).trim().toLowerCase()}:${bloodGroup}`;
+
+// Read the access token from the handshake auth payload or the Authorization header
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+
+  const header = handshake.headers.authorization;
+  if (header && header.startsWith('Bearer')) return header.split(' ')[1];
+
+  return null;
+};
+
+// Authenticate sockets with the same access token used by protect
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+
+  if (!token) {
+    return next(new Error('Access denied. No token provided.'));
+  }
+
+  try {
+    socket.user = await verifyAccessToken(token);
+    next();
+  } catch (error) {
+    if (error.isOperational) return next(new Error(error.message));
+    if (error.name === 'TokenExpiredError') return next(new Error('Token expired.'));
+    next(new Error('Invalid token.'));
+  }
+};
+
+// Leave every district/blood group channel the socket follows
+const leaveRequestRooms = (socket) => {
+  [...socket.rooms]
+    .filter(room => room.startsWith('requests:'))
+    .forEach(room => socket.leave(room));
+};
+
+// Follow new requests for districts and blood groups. Defaults to the donor's
+// own district and the groups they can give to. Replaces earlier subscriptions.
+const subscribeToRequests = (socket, payload = {}) => {
+  const { user } = socket;
+
+  if (!user.isDonor) {
+    return { success: false, message: 'This feature is only available for donors.' };
+  }
+
+  const districts = (Array.isArray(payload.districts) && payload.districts.length
+    ? payload.districts
+    : [user.location && user.location.district])
+    .filter(district => typeof district === 'string' && district.trim())
+    .slice(0, MAX_DISTRICTS);
+
+  const bloodGroups = (Array.isArray(payload.bloodGroups) && payload.bloodGroups.length
+    ? payload.bloodGroups
+    : getCompatibleRecipients(user.bloodGroup))
+    .filter(bloodGroup => BLOOD_GROUPS.includes(bloodGroup));
+
+  if (!districts.length || !bloodGroups.length) {
+    return { success: false, message: 'Provide at least one district and a valid blood group.' };
+  }
+
+  leaveRequestRooms(socket);
+
+  const rooms = [];
+  districts.forEach(district => {
+    bloodGroups.forEach(bloodGroup => rooms.push(requestRoom(district, bloodGroup)));
+  });
+  socket.join(rooms);
+
+  return { success: true, data: { districts, bloodGroups } };
+};
+
+const handleConnection = async (socket) => {
+  const { user } = socket;
+
+  socket.join(userRoom(user._id));
+
+  socket.on('requests:subscribe', (payload, ack) => {
+    const result = subscribeToRequests(socket, payload);
+    if (typeof ack === 'function') ack(result);
+  });
+
+  socket.on('requests:unsubscribe', (ack) => {
+    leaveRequestRooms(socket);
+    if (typeof ack === 'function') ack({ success: true });
+  });
+
+  // Send the current badge count so clients do not have to poll for it
+  try {
+    const unreadCount = await Notification.getUnreadCount(user._id);
+    socket.emit('notification:unread-count', { unreadCount });
+  } catch (error) {
+    logger.error('Socket unread count failed', { userId: user._id, error: error.message });
+  }
+};
+
+// Attach the gateway to the HTTP server
+const initSocket = (server) => {
+  if (io) return io;
+
+  io = new Server(server, {
+    cors: {
+      origin: corsOptions.origin,
+      credentials: true
+    }
+  });
+
+  io.use(authenticateSocket);
+  io.on('connection', handleConnection);
+
+  logger.info('Socket gateway attached');
+
+  return io;
+};
+
+const getIO = () => io;
+
+// Emit to every connected socket of a user; no-op when the gateway is not running
+const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) return;
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+// Disconnect every socket of a user, e.g. after suspension
+const disconnectUser = (userId) => {
+  if (!io || !userId) return;
+  io.in(userRoom(userId)).disconnectSockets(true);
+};
+
+// Push a stored notification and the new badge count to its recipient
+const emitNotification = async (notification) => {
+  if (!io) return;
+
+  const unreadCount = await Notification.getUnreadCount(notification.recipient);
+  emitToUser(notification.recipient, 'notification:new', { notification, unreadCount });
+};
+
+// Announce a new request on its district/blood group channel,
+// with an emergency banner for critical requests
+const publishRequest = (request) => {
+  if (!io || !request.location || !request.location.district) return;
+
+  const room = requestRoom(request.location.district, request.bloodGroup);
+  const summary = {
+    _id: request._id,
+    bloodGroup: request.bloodGroup,
+    donationType: request.donationType,
+    unitsNeeded: request.unitsNeeded,
+    hospitalName: request.hospitalName,
+    district: request.location.district,
+    urgencyLevel: request.urgencyLevel,
+    isEmergency: request.isEmergency,
+    neededBy: request.neededBy
+  };
+
+  // Requesters do not need to be told about their own request
+  io.to(room).except(userRoom(request.requestedBy)).emit('request:new', summary);
+
+  if (request.isEmergency || request.urgencyLevel === 'critical') {
+    io.to(room).except(userRoom(request.requestedBy)).emit('emergency:banner', summary);
+  }
+};
+
+module.exports = {
+  initSocket,
+  getIO,
+  emitToUser,
+  disconnectUser,
+  emitNotification,
+  publishRequest
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { logger } = require('../middleware/errorHandler');
+
+// Call statuses a provider can report back
+const CALL_EVENT_STATUSES = ['ringing', 'in_progress', 'completed', 'missed', 'failed'];
+
+// Fake provider for tests: hands out relay numbers or tokens and keeps sessions
+// in memory. Set TELEPHONY_BRIDGE=token to issue tokens instead.
+const fakeProvider = {
+  name: 'fake',
+  sessions: [],
+
+  createSession: async ({ callId, callerPhone, calleePhone, expiresAt }) => {
+    const providerSessionId = `call-${crypto.randomBytes(8).toString('hex')}`;
+    const session = { providerSessionId, callId, callerPhone, calleePhone, expiresAt };
+
+    if (process.env.TELEPHONY_BRIDGE === 'token') {
+      session.token = crypto.randomBytes(16).toString('hex');
+    } else {
+      session.relayNumber = `+8809612${crypto.randomInt(100000, 1000000)}`;
+    }
+
+    fakeProvider.sessions.push(session);
+    return session;
+  },
+
+  // Events are accepted when they carry the shared webhook secret
+  parseEvent: (req) => {
+    const secret = process.env.TELEPHONY_WEBHOOK_SECRET;
+    const provided = Buffer.from(req.get('X-Telephony-Secret') || '');
+
+    // Compare byte lengths; timingSafeEqual throws on buffers of different sizes
+    if (!secret || provided.length !== Buffer.byteLength(secret) ||
+        !crypto.timingSafeEqual(provided, Buffer.from(secret))) {
+      return null;
+    }
+
+    const { providerSessionId, status, duration } = req.body;
+    return { providerSessionId, status, duration };
+  }
+};
+
+// The fake provider is only used under NODE_ENV=test; elsewhere calling stays
+// disabled until a real provider is plugged in
+const createProvider = () => {
+  if (process.env.NODE_ENV === 'test') {
+    return fakeProvider;
+  }
+
+  logger.warn('Telephony provider is not configured; masked calls are disabled');
+  return null;
+};
+
+let provider = createProvider();
+
+// Plug in a real telephony provider; it must implement
+// createSession({ callId, callerPhone, calleePhone, expiresAt }) resolving to
+// { providerSessionId, relayNumber } or { providerSessionId, token }, and
+// parseEvent(req) returning { providerSessionId, status, duration } or null
+const setTelephonyProvider = (telephonyProvider) => {
+  provider = telephonyProvider || createProvider();
+};
+
+const getTelephonyProvider = () => provider;
+
+// Open a masked call bridge between two phone numbers
+const createCallBridge = async (options) => {
+  if (!provider) {
+    throw new Error('Telephony provider is not configured');
+  }
+
+  try {
+    const result = await provider.createSession(options);
+
+    logger.info('Call bridge created', {
+      callId: options.callId,
+      provider: provider.name,
+      providerSessionId: result.providerSessionId
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Call bridge failed', {
+      callId: options.callId,
+      provider: provider.name,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  CALL_EVENT_STATUSES,
+  createCallBridge,
+  setTelephonyProvider,
+  getTelephonyProvider,
+  fakeProvider
+};